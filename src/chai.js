@@ -0,0 +1,98 @@
+function lilMockyChai(chai, utils) {
+	const { Assertion } = chai;
+
+	Assertion.addProperty('called', function() {
+		const mock = getMock(this, 'function');
+
+		this.assert(
+			mock.calls.length > 0,
+			`expected ${mock.name || 'mock'} to have been called, but it was not called`,
+			`expected ${mock.name || 'mock'} not to have been called, but it was called ${formatTimes(mock.calls.length)}\n\n${formatCalls(mock.calls)}`
+		);
+	});
+
+	Assertion.addMethod('calledTimes', function(times) {
+		const mock = getMock(this, 'function');
+
+		this.assert(
+			mock.calls.length === times,
+			`expected ${mock.name || 'mock'} to have been called ${formatTimes(times)}, but it was called ${formatTimes(mock.calls.length)}\n\n${formatCalls(mock.calls)}`,
+			`expected ${mock.name || 'mock'} not to have been called ${formatTimes(times)}`
+		);
+	});
+
+	Assertion.addMethod('calledWith', function(...args) {
+		const mock = getMock(this, 'function');
+		const error = check(() => mock.assertCalledWith(...args));
+
+		this.assert(
+			!error,
+			error?.message,
+			`expected ${mock.name || 'mock'} not to have been called with ${formatArgs(args)}\n\n${formatCalls(mock.calls)}`
+		);
+	});
+
+	Assertion.addMethod('calledOnceWith', function(...args) {
+		const mock = getMock(this, 'function');
+		const error = check(() => {
+			mock.assertCalledTimes(1);
+			mock.assertCalledWith(...args);
+		});
+
+		this.assert(
+			!error,
+			error?.message,
+			`expected ${mock.name || 'mock'} not to have been called once with ${formatArgs(args)}`
+		);
+	});
+
+	Assertion.addMethod('instances', function(count) {
+		const Mock = getMock(this, 'class');
+
+		this.assert(
+			Mock.instCount === count,
+			`expected ${Mock.name} to have ${count} instances, but it has ${Mock.instCount}`,
+			`expected ${Mock.name} not to have ${count} instances`
+		);
+	});
+
+	function getMock(assertion, kind) {
+		const mock = utils.flag(assertion, 'object');
+
+		if (mock?.__mockyKind !== kind)
+			throw new chai.AssertionError(`expected ${utils.inspect(mock)} to be a lil-mocky ${kind} mock`);
+
+		return mock;
+	}
+
+	function formatCalls(calls) {
+		if (!calls.length)
+			return 'Recorded calls: none';
+
+		return [`Recorded calls (${calls.length}):`]
+			.concat(calls.map((call, i) => `  #${i} ${utils.inspect(call)}`))
+			.join('\n');
+	}
+
+	function formatArgs(args) {
+		return args.map((arg) => utils.inspect(arg)).join(', ');
+	}
+}
+
+function check(fn) {
+	try {
+		fn();
+		return null;
+	} catch (error) {
+		if (error?.code === 'ERR_ASSERTION')
+			return error;
+
+		throw error;
+	}
+}
+
+function formatTimes(times) {
+	return times === 1 ? '1 time' : `${times} times`;
+}
+
+module.exports = lilMockyChai;
@@ -1,4 +1,28 @@
+const { AssertionError } = require('assert');
+const { readFileSync, writeFileSync } = require('fs');
+const Module = require('module');
+const { dirname, resolve: resolvePath } = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const { inspect } = require('util');
+
 const THROW_MARKER = Symbol('mockyThrow');
+const ASYNC_MARKER = Symbol('mockyAsync');
+const ESM_LOADER = Symbol.for('lil-mocky.esm');
+const CALL_REF = Symbol('mockyCallRef');
+// Read by await, JSON.stringify and test frameworks to detect special objects, so strict mocks let them through
+const PROBE_KEYS = new Set(['then', 'toJSON', 'asymmetricMatch', '$$typeof', 'nodeType', '_isMockFunction', '@@__IMMUTABLE_ITERABLE__@@', '@@__IMMUTABLE_RECORD__@@']);
+
+// Captured before fake timers can replace them, so waits still time out
+const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } = globalThis;
+const waiters = new Set();
+const privateMembers = new WeakMap();
+
+// Each mock keeps its own sequence numbers; the history only holds weak references to merge them on demand
+const historyStates = new Set();
+const historyCleanup = new FinalizationRegistry((ref) => historyStates.delete(ref));
+
+let lastSequence = 0;
+let clearedSequence = 0;
 
 function mockBuilder(builder) {
 	return builder.build();
@@ -11,8 +35,14 @@ function functionBuilder(body) {
 		args: [],
 		select: [],
 		original: undefined,
+		name: undefined,
+		delay: 0,
+		strict: false,
+		verify: null,
+		clone: 'deep',
 		defaultRet: { has: false, value: undefined },
-		rets: new Map()
+		rets: new Map(),
+		whens: []
 	};
 
 	return {
@@ -37,6 +67,32 @@ function functionBuilder(body) {
 			this.__mockyStatic = true;
 			return this;
 		},
+		name: function(name) {
+			options.name = name;
+			return this;
+		},
+		delay: function(ms) {
+			options.delay = ms;
+			return this;
+		},
+		strict: function() {
+			options.strict = true;
+			return this;
+		},
+		clone: function(strategy) {
+			if (typeof strategy !== 'function' && !['deep', 'shallow', 'none'].includes(strategy))
+				throw new TypeError(`Unknown clone strategy ${formatValue(strategy)}: expected 'deep', 'shallow', 'none' or a function`);
+
+			options.clone = strategy;
+			return this;
+		},
+		verify: function(fn) {
+			options.verify = getParamInfo(fn);
+			return this;
+		},
+		__mockyVerifyArgs: function(verify, key, parentPath) {
+			checkDeclaredArgs(options, verify, options.name ?? joinPath(parentPath, key));
+		},
 		ret: function(value, ...rest) {
 			if (rest.length === 0) {
 				options.defaultRet = { has: true, value };
@@ -45,8 +101,14 @@ function functionBuilder(body) {
 			}
 			return this;
 		},
-		build: function(parent, key) {
-			const state = { parent };
+		when: function(...args) {
+			return createWhen(options.whens, args, this);
+		},
+		build: function(parent, key, parentPath, verify = options.verify) {
+			const state = { parent, name: options.name ?? joinPath(parentPath, key), verify };
+
+			checkDeclaredArgs(options, verify, state.name);
+
 			const mock = createFunction(state, options);
 
 			if (parent)
@@ -57,78 +119,567 @@ function functionBuilder(body) {
 	};
 }
 
+function checkDeclaredArgs(options, verify, name) {
+	if (verify && options.args.length > verify.count)
+		fail(`${name ?? 'mock'} declares ${options.args.length} args but the real function accepts at most ${verify.count}`);
+}
+
 function wireFunction(mock, state, options = {}) {
-	mock.ret = (value, ...rest) => {
+	const setRet = (value, rest) => {
 		if (rest.length === 0) {
 			state.defaultRet = { has: true, value };
 		} else {
 			state.rets.set(rest[0], value);
 		}
 	};
+
+	mock.ret = (value, ...rest) => {
+		setRet(value, rest);
+	};
 	mock.throw = (error, ...rest) => {
-		const wrapped = { [THROW_MARKER]: true, error };
+		setRet({ [THROW_MARKER]: true, error }, rest);
+	};
+	mock.resolves = (value, ...rest) => {
+		setRet({ [ASYNC_MARKER]: true, value }, rest);
+	};
+	mock.rejects = (error, ...rest) => {
+		setRet({ [ASYNC_MARKER]: true, rejects: true, error }, rest);
+	};
+	mock.pending = (...rest) => {
+		if (rest.length === 0) {
+			// Every call gets its own deferred; the one for the next call is returned
+			setRet({ [ASYNC_MARKER]: true, pending: true }, rest);
+			return getDeferred(state, state.calls.length);
+		}
+
+		const deferred = createDeferred();
+		setRet({ [ASYNC_MARKER]: true, deferred }, rest);
+		return deferred;
+	};
+	mock.retOnce = (value) => {
+		state.retQueue.push(value);
+	};
+	mock.retSequence = (values) => {
+		state.retQueue.push(...values);
+	};
+	mock.impl = (body, ...rest) => {
 		if (rest.length === 0) {
-			state.defaultRet = { has: true, value: wrapped };
+			state.body = body;
 		} else {
-			state.rets.set(rest[0], wrapped);
+			state.impls.set(rest[0], body);
 		}
 	};
+	mock.implOnce = (body) => {
+		state.implQueue.push(body);
+	};
+	mock.when = (...args) => createWhen(state.whens, args);
+	mock.waitForCall = (n, config) => waitForCall(mock, state, n, config);
+	mock.nth = (call) => ({ [CALL_REF]: true, mock, call });
+	mock.delay = (ms) => {
+		state.delay = ms;
+	};
 	Object.defineProperty(mock, 'calls', { get: () => state.calls, configurable: true });
+	Object.defineProperty(mock, 'invocations', { get: () => state.invocations, configurable: true });
+	Object.defineProperty(mock, 'deferreds', { get: () => state.deferreds, configurable: true });
+	Object.defineProperty(mock, 'sequences', { get: () => state.sequences, configurable: true });
+	Object.defineProperty(mock, '__mockyState', { value: state });
+	Object.defineProperty(mock, '__mockyKind', { value: 'function' });
+
+	if (state.name != null)
+		Object.defineProperty(mock, 'name', { value: String(state.name), configurable: true });
+
 	mock.reset = () => {
 		state.defaultRet = { ...options.defaultRet };
 		state.rets = new Map(options.rets);
+		state.whens = Array.from(options.whens || []);
+		state.delay = options.delay || 0;
+		state.body = undefined;
+		state.impls = new Map();
+		state.implQueue = [];
+		state.retQueue = [];
+		state.mock = mock;
 		state.calls = [];
+		state.invocations = [];
+		state.sequences = [];
+		state.deferreds = [];
 		state.data = {};
 		mock.data = state.data;
 	};
 	mock.reset();
+	wireAssertions(mock, state, options);
 
 	return mock;
 }
 
+function wireAssertions(mock, state, options) {
+	const name = () => mock.name || 'mock';
+
+	mock.assertCalled = () => {
+		if (!state.calls.length)
+			fail(`Expected ${name()} to have been called, but it was not called.`);
+	};
+	mock.assertNotCalled = () => {
+		if (state.calls.length)
+			fail(`Expected ${name()} not to have been called, but it was called ${formatTimes(state.calls.length)}.\n\n${formatCalls(state.calls)}`);
+	};
+	mock.assertCalledTimes = (times) => {
+		if (state.calls.length !== times)
+			fail(`Expected ${name()} to have been called ${formatTimes(times)}, but it was called ${formatTimes(state.calls.length)}.\n\n${formatCalls(state.calls)}`, state.calls.length, times);
+	};
+	mock.assertCalledWith = (...args) => {
+		const expected = getExpectedCall(args, options);
+
+		if (!state.calls.some((call) => isEqual(expected, call)))
+			fail(`Expected ${name()} to have been called with:\n  ${formatValue(expected)}\nbut no recorded call matched.\n\n${formatCalls(state.calls, expected)}`);
+	};
+	mock.assertNthCalledWith = (index, ...args) => {
+		const expected = getExpectedCall(args, options);
+
+		if (index >= state.calls.length)
+			fail(`Expected call #${index} of ${name()} to have been made with:\n  ${formatValue(expected)}\nbut it was called ${formatTimes(state.calls.length)}.\n\n${formatCalls(state.calls, expected)}`);
+
+		if (!isEqual(expected, state.calls[index]))
+			fail(`Expected call #${index} of ${name()} to have been made with:\n  ${formatValue(expected)}\n\n${formatCalls(state.calls, expected)}`, state.calls[index], expected);
+	};
+	mock.assertLastCalledWith = (...args) => {
+		mock.assertNthCalledWith(Math.max(state.calls.length - 1, 0), ...args);
+	};
+}
+
+function getExpectedCall(args, options) {
+	if (options.select.length == 1)
+		return args[0];
+
+	// Named args are laid out by position, so omitted names and defaults match what calls record
+	if (isNamedArgs(args, options))
+		return getFunctionArgs(options.args.map((arg) => args[0][getArgName(arg)]), options);
+
+	return getFunctionArgs(args, options);
+}
+
+function fail(message, actual, expected) {
+	throw new AssertionError({ message, actual, expected });
+}
+
+function formatTimes(times) {
+	return times === 1 ? '1 time' : `${times} times`;
+}
+
+function formatValue(value) {
+	return inspect(value, { depth: null, breakLength: Infinity });
+}
+
+function formatCalls(calls, expected) {
+	const hasExpected = arguments.length > 1;
+
+	if (!calls.length)
+		return 'Recorded calls: none';
+
+	const lines = [`Recorded calls (${calls.length}):`];
+
+	calls.forEach((call, i) => {
+		lines.push(`  #${i} ${formatValue(call)}`);
+
+		if (hasExpected) {
+			for (const diff of diffValues(expected, call))
+				lines.push(`       ${diff}`);
+		}
+	});
+
+	return lines.join('\n');
+}
+
+function diffValues(expected, actual, path = '') {
+	if (isEqual(expected, actual))
+		return [];
+
+	const bothArrays = Array.isArray(expected) && Array.isArray(actual);
+
+	if (bothArrays || (isPlainObject(expected) && isPlainObject(actual))) {
+		const keys = bothArrays
+			? Array.from({ length: Math.max(expected.length, actual.length) }, (_, i) => i)
+			: Array.from(new Set([...Reflect.ownKeys(expected), ...Reflect.ownKeys(actual)]));
+
+		return keys.flatMap((key) => {
+			const keyPath = path + formatKey(key, bothArrays);
+
+			if (!(key in actual))
+				return [`${keyPath}: expected ${formatValue(expected[key])}, but it is missing`];
+
+			if (!(key in expected))
+				return [`${keyPath}: unexpected ${formatValue(actual[key])}`];
+
+			return diffValues(expected[key], actual[key], keyPath);
+		});
+	}
+
+	return [`${path || 'value'}: expected ${formatValue(expected)}, received ${formatValue(actual)}`];
+}
+
+function formatKey(key, isIndex) {
+	if (isIndex || typeof key === 'symbol')
+		return `[${isIndex ? key : key.toString()}]`;
+
+	return `.${key}`;
+}
+
+function getHistory() {
+	return collectHistory(getHistoryStates()).map(toHistoryEntry);
+}
+
+function getHistoryStates() {
+	const states = [];
+
+	for (const ref of historyStates) {
+		const state = ref.deref();
+
+		if (state)
+			states.push(state);
+	}
+
+	return states;
+}
+
+function collectHistory(states) {
+	const entries = [];
+
+	for (const state of states) {
+		state.sequences.forEach((sequence, call) => {
+			if (sequence > clearedSequence)
+				entries.push({ sequence, state, call });
+		});
+	}
+
+	return entries.sort((a, b) => a.sequence - b.sequence);
+}
+
+function toHistoryEntry({ sequence, state, call }) {
+	return {
+		sequence,
+		name: state.mock.name || 'mock',
+		mock: state.mock,
+		call,
+		args: state.calls[call]
+	};
+}
+
+function assertOrder(...refs) {
+	const labels = refs.map(formatRef);
+	let previous = 0;
+
+	refs.forEach((ref, i) => {
+		const state = (ref?.[CALL_REF] ? ref.mock : ref)?.__mockyState;
+
+		if (!state)
+			throw new TypeError(`Expected a function mock or mock.nth() reference, but received ${formatValue(ref)}`);
+
+		const sequence = ref[CALL_REF]
+			? state.sequences[ref.call]
+			: state.sequences.find((candidate) => candidate > previous);
+
+		if (sequence === undefined || sequence <= previous) {
+			const reason = i === 0
+				? `${labels[i]} was not called`
+				: `${labels[i]} was not called after ${labels[i - 1]}`;
+			const involved = new Set(refs.map((other) => (other?.[CALL_REF] ? other.mock : other)?.__mockyState));
+			const lines = collectHistory(involved)
+				.map(toHistoryEntry)
+				.map((entry) => `  #${entry.sequence} ${entry.name} ${formatValue(entry.args)}`);
+
+			fail(`Expected calls in order: ${labels.join(', ')}\nbut ${reason}.\n\nCall history:\n${lines.length ? lines.join('\n') : '  none'}`);
+		}
+
+		previous = sequence;
+	});
+}
+
+function formatRef(ref) {
+	if (ref?.[CALL_REF])
+		return `${ref.mock.name || 'mock'}#${ref.call}`;
+
+	return ref?.name || 'mock';
+}
+
+function waitForCall(mock, state, n = 0, config = {}) {
+	if (typeof n === 'object') {
+		config = n;
+		n = 0;
+	}
+
+	const { timeout = 1000 } = config;
+
+	return waitUntil(() => state.calls.length > n ? { value: state.calls[n] } : null, timeout, () => {
+		return `Timed out after ${timeout}ms waiting for call #${n} of ${mock.name || 'mock'}, but it was called ${formatTimes(state.calls.length)}.\n\n${formatCalls(state.calls)}`;
+	});
+}
+
+function waitFor(predicate, config = {}) {
+	const { timeout = 1000 } = config;
+
+	return waitUntil((entry) => {
+		for (const { sequence, state, call } of entry ? [entry] : collectHistory(getHistoryStates())) {
+			if (sequence <= clearedSequence)
+				continue;
+
+			const historyEntry = toHistoryEntry({ sequence, state, call });
+
+			if (predicate(historyEntry))
+				return { value: historyEntry };
+		}
+
+		return null;
+	}, timeout, () => {
+		const lines = getHistory().slice(-20).map((entry) => `  #${entry.sequence} ${entry.name} ${formatValue(entry.args)}`);
+		const recorded = lines.length ? `Recorded calls (last ${lines.length}):\n${lines.join('\n')}` : 'Recorded calls: none';
+
+		return `Timed out after ${timeout}ms waiting for a matching call.\n\n${recorded}`;
+	});
+}
+
+function waitUntil(match, timeout, message) {
+	return new Promise((resolve, reject) => {
+		const settle = (settler, value) => {
+			realClearTimeout(timer);
+			waiters.delete(waiter);
+			settler(value);
+		};
+		const waiter = (entry) => {
+			try {
+				const result = match(entry);
+
+				if (result)
+					settle(resolve, result.value);
+			} catch (error) {
+				settle(reject, error);
+			}
+		};
+		const timer = realSetTimeout(() => settle(reject, new AssertionError({ message: message() })), timeout);
+
+		waiters.add(waiter);
+		waiter();
+	});
+}
+
+function createWhen(whens, args, chain) {
+	const add = (response) => {
+		whens.push({ args, ...response });
+		return chain;
+	};
+
+	return {
+		ret: (value) => add({ value }),
+		throw: (error) => add({ value: { [THROW_MARKER]: true, error } }),
+		call: (fn) => add({ body: fn })
+	};
+}
+
 function createFunction(state, options) {
 	if (options.async) {
 		return async function() {
-			return getFunctionBody(this, state, options, Array.from(arguments));
+			const invocation = { this: this, rawArgs: Array.from(arguments) };
+			let result;
+
+			try {
+				result = { value: getFunctionBody(this, state, options, invocation) };
+			} catch (error) {
+				result = { error };
+			}
+
+			// Awaited below once the delay has passed, which is where a rejection surfaces
+			if (result.value instanceof Promise)
+				result.value.catch(() => {});
+
+			if (state.delay)
+				await new Promise((resolve) => setTimeout(resolve, state.delay));
+
+			try {
+				if ('error' in result)
+					throw result.error;
+
+				invocation.returned = result.value?.[ASYNC_MARKER] ? createAsyncRet(result.value) : result.value;
+				invocation.resolved = await invocation.returned;
+				return invocation.resolved;
+			} catch (error) {
+				invocation.rejected = error;
+				throw error;
+			}
 		};
 	} else {
 		return function() {
-			return getFunctionBody(this, state, options, Array.from(arguments));
+			const invocation = { this: this, rawArgs: Array.from(arguments) };
+
+			try {
+				invocation.returned = getFunctionBody(this, state, options, invocation);
+			} catch (error) {
+				invocation.threw = error;
+				throw error;
+			}
+
+			// Lazy thenables (query builders) must not be started, so only native promises are followed
+			if (invocation.returned instanceof Promise && invocation.returned.constructor === Promise) {
+				const settled = invocation.returned.then((value) => {
+					invocation.resolved = value;
+					return value;
+				}, (error) => {
+					invocation.rejected = error;
+
+					if (state.mock.__mockySpy)
+						throw error;
+				});
+
+				// Spies hand back the recorded promise, so a rejection the real code leaves unhandled still surfaces.
+				// Other mocks return the configured promise itself, recording on a separate branch.
+				if (state.mock.__mockySpy)
+					invocation.returned = settled;
+			}
+
+			return invocation.returned;
 		};
 	}
 }
 
-function getFunctionBody(parent, state, options, rawArgs) {
-	const args = deepClone(getFunctionArgs(rawArgs, options));
+function getFunctionBody(parent, state, options, invocation) {
+	const rawArgs = invocation.rawArgs;
+
+	if (state.verify && rawArgs.length > state.verify.count)
+		fail(`${state.mock.name || 'mock'} was called with ${rawArgs.length} arguments but the real function accepts at most ${state.verify.count}`);
+
+	const args = cloneArgs(getFunctionArgs(rawArgs, options), options);
 	state.calls.push(args);
 	const call = state.calls.length - 1;
+	const sequence = ++lastSequence;
+
+	invocation.args = args;
+	state.invocations.push(invocation);
+
+	state.sequences.push(sequence);
+
+	if (!state.historyRef) {
+		state.historyRef = new WeakRef(state);
+		historyStates.add(state.historyRef);
+		historyCleanup.register(state, state.historyRef);
+	}
+
+	for (const waiter of waiters)
+		waiter({ sequence, state, call });
+
+	const onceRet = !state.rets.has(call) && state.retQueue.length ? { value: state.retQueue.shift() } : null;
+	const onceBody = !state.impls.has(call) ? state.implQueue.shift() : undefined;
+	const when = state.rets.has(call) || onceRet ? null : findWhen(state.whens, rawArgs, args, options);
+	const body = state.impls.get(call) || onceBody || when?.body || state.body || options.body;
 
 	let ret;
 
 	if (state.rets.has(call)) {
 		ret = state.rets.get(call);
+	} else if (onceRet) {
+		ret = onceRet.value;
+	} else if (when && !when.body) {
+		ret = when.value;
 	} else if (state.defaultRet.has) {
 		ret = state.defaultRet.value;
 	}
 
+	if (options.strict && !body && !when && !onceRet && !state.rets.has(call) && !state.defaultRet.has)
+		fail(`Unexpected call to ${state.mock.name || 'mock'} with ${formatValue(args)}: the strict mock has no ret, throw or implementation configured`);
+
 	if (ret?.[THROW_MARKER])
 		throw ret.error;
 
-	if (options.body) {
-		return options.body({
+	if (ret?.[ASYNC_MARKER] && ret.deferred) {
+		state.deferreds[call] = ret.deferred;
+		ret = ret.deferred.promise;
+	} else if (ret?.[ASYNC_MARKER] && ret.pending) {
+		ret = getDeferred(state, call).promise;
+	}
+
+	if (body) {
+		// Settled promises are only created when read, so a body that ignores ctx.ret leaves no unhandled rejection
+		let asyncRet;
+
+		return body({
 			self: state.parent || parent,
+			instance: parent,
 			data: state.data,
 			call: call,
 			args: args,
 			rawArgs: rawArgs,
 			original: options.original,
-			ret: ret
+			get ret() {
+				if (!ret?.[ASYNC_MARKER])
+					return ret;
+
+				return asyncRet || (asyncRet = createAsyncRet(ret));
+			}
 		});
+	} else if (ret?.[ASYNC_MARKER] && !options.async) {
+		return createAsyncRet(ret);
 	} else {
 		return ret;
 	}
 }
 
+function getDeferred(state, call) {
+	if (!state.deferreds[call])
+		state.deferreds[call] = createDeferred();
+
+	return state.deferreds[call];
+}
+
+function createAsyncRet(ret) {
+	return ret.rejects ? Promise.reject(ret.error) : Promise.resolve(ret.value);
+}
+
+function createDeferred() {
+	const deferred = { settled: false };
+
+	deferred.promise = new Promise((resolve, reject) => {
+		deferred.resolve = (value) => {
+			deferred.settled = true;
+			resolve(value);
+		};
+		deferred.reject = (error) => {
+			deferred.settled = true;
+			reject(error);
+		};
+	});
+
+	return deferred;
+}
+
+function findWhen(whens, rawArgs, args, options) {
+	for (let i = whens.length - 1; i >= 0; i--) {
+		if (matchesWhen(whens[i].args, rawArgs, args, options))
+			return whens[i];
+	}
+
+	return null;
+}
+
+function matchesWhen(expected, rawArgs, args, options) {
+	if (isNamedArgs(expected, options)) {
+		return Reflect.ownKeys(expected[0]).every((name) => isEqual(expected[0][name], args[name]));
+	}
+
+	return expected.length === rawArgs.length && expected.every((value, i) => isEqual(value, rawArgs[i]));
+}
+
+function isNamedArgs(expected, options) {
+	if (!options.args.length || options.select.length == 1)
+		return false;
+
+	if (expected.length !== 1 || !isPlainObject(expected[0]))
+		return false;
+
+	const names = options.args.map(getArgName);
+
+	return Reflect.ownKeys(expected[0]).every((name) => names.includes(name));
+}
+
+function getArgName(arg) {
+	return typeof arg == 'string' ? arg : Object.keys(arg)[0];
+}
+
 function getFunctionArgs(callArgs, options) {
 	let args = null;
 
@@ -159,23 +710,35 @@ function getFunctionArgs(callArgs, options) {
 	return args;
 }
 
-function objectBuilder(props) {
-	const options = { props };
+function objectBuilder(props, verifies = new Map()) {
+	const options = { props, name: undefined, strict: false, verifies };
 
 	return {
 		__mockyObject: true,
-		build: function(parent, key) {
-			const mock = createObjectWithProps(options.props);
+		name: function(name) {
+			options.name = name;
+			return this;
+		},
+		strict: function() {
+			options.strict = true;
+			return this;
+		},
+		build: function(parent, key, parentPath) {
+			const path = options.name ?? joinPath(parentPath, key);
+			const accessors = {};
+			const object = wireObject(createObjectWithProps(options.props, path, accessors, options.verifies), options.props, accessors, path);
+			const mock = options.strict ? createStrictProxy(object, path) : object;
 
 			if (parent)
 				Object.defineProperty(parent, key, { value: mock });
 
-			return wireObject(parent ? parent[key] : mock, props);
+			return mock;
 		}
 	};
 }
 
-function wireObject(mock, initialProps) {
+function wireObject(mock, initialProps, accessors = {}, path) {
+	const hasAccessors = Reflect.ownKeys(accessors).length > 0 && !Object.prototype.hasOwnProperty.call(initialProps, 'accessor');
 	const initialMocks = new Set();
 	const initialValues = new Map();
 
@@ -190,9 +753,11 @@ function wireObject(mock, initialProps) {
 
 	mock.reset = () => {
 		for (const key of Reflect.ownKeys(mock)) {
-			if (key === 'reset') continue;
+			if (key === 'reset' || key === 'restore' || (key === 'accessor' && hasAccessors)) continue;
 
-			if (initialMocks.has(key)) {
+			if (Object.prototype.hasOwnProperty.call(accessors, key)) {
+				accessors[key].reset();
+			} else if (initialMocks.has(key)) {
 				if (typeof mock[key]?.reset === 'function')
 					mock[key].reset();
 			} else if (initialValues.has(key)) {
@@ -203,17 +768,42 @@ function wireObject(mock, initialProps) {
 		}
 	};
 
+	if (hasAccessors) {
+		Object.defineProperty(mock, 'accessor', {
+			value: (key) => {
+				if (!Object.prototype.hasOwnProperty.call(accessors, key))
+					throw new TypeError(`${joinPath(path, key)} is not a getter or setter`);
+
+				return accessors[key];
+			},
+			configurable: true
+		});
+	}
+
 	return mock;
 }
 
-function createObjectWithProps(props) {
+function createObjectWithProps(props, path, accessors, verifies) {
 	const object = {};
 
 	for (const key of Reflect.ownKeys(props)) {
 		const prop = props[key];
 
-		if (typeof prop?.build == 'function') {
-			prop.build(object, key);
+		if (prop?.__mockyAccessor && accessors) {
+			const control = prop.build(accessors, key, path);
+
+			Object.defineProperty(object, key, {
+				get: prop.hasGet ? function() {
+					return control.get.call(this);
+				} : undefined,
+				set: prop.hasSet ? function(value) {
+					control.set.call(this, value);
+				} : undefined,
+				enumerable: true,
+				configurable: true
+			});
+		} else if (typeof prop?.build == 'function') {
+			prop.build(object, key, path, verifies?.get(key));
 		} else {
 			object[key] = prop;
 		}
@@ -222,13 +812,62 @@ function createObjectWithProps(props) {
 	return object;
 }
 
-function classBuilder(members) {
-	const options = { members };
+function createStrictProxy(target, path) {
+	const label = (key) => joinPath(path, key);
+
+	return new Proxy(target, {
+		get: (object, key, receiver) => {
+			if (typeof key === 'string' && !PROBE_KEYS.has(key) && !(key in object))
+				fail(`Unexpected read of ${label(key)}: the property is not declared on the strict mock`);
+
+			return Reflect.get(object, key, receiver);
+		},
+		set: (object, key, value, receiver) => {
+			if (typeof key === 'string' && !(key in object))
+				fail(`Unexpected write to ${label(key)}: the property is not declared on the strict mock`);
+
+			return Reflect.set(object, key, value, receiver);
+		}
+	});
+}
+
+function joinPath(path, key) {
+	if (key === undefined)
+		return path;
+
+	if (typeof key === 'symbol')
+		return `${path ?? ''}[${key.toString()}]`;
+
+	return path ? `${path}.${key}` : key;
+}
+
+function classBuilder(members, verifies = new Map()) {
+	const options = { members, statics: {}, name: undefined, strict: false, base: undefined, construct: false, verifies };
 
 	return {
 		__mockyClass: true,
-		build: function(parent, key) {
-			const state = {};
+		name: function(name) {
+			options.name = name;
+			return this;
+		},
+		strict: function() {
+			options.strict = true;
+			return this;
+		},
+		statics: function(props) {
+			options.statics = { ...options.statics, ...props };
+			return this;
+		},
+		extends: function(Base, config = {}) {
+			if (typeof Base !== 'function')
+				throw new TypeError('mocky.class().extends() expects a class');
+
+			options.base = Base;
+			options.construct = !!config.construct;
+			return this;
+		},
+		build: function(parent, key, parentPath) {
+			const state = { name: options.name ?? joinPath(parentPath, key) };
 			const Mock = createClass(state, options);
 
 			if (parent)
@@ -240,21 +879,47 @@ function classBuilder(members) {
 }
 
 function createClass(state, options) {
-	const Mock = function() {
-		const index = state.numInstances;
+	let Mock;
 
-		if (!state.descriptions[index])
-			state.descriptions[index] = createObjectWithProps(options.members);
+	if (options.base) {
+		Mock = class extends options.base {
+			constructor(...args) {
+				if (options.construct)
+					super(...args);
 
-		Object.defineProperty(this, '__mockyInst', { value: index });
+				return initInstance(options.construct ? this : Object.create(new.target.prototype), args, new.target);
+			}
+		};
+	} else {
+		Mock = function(...args) {
+			return initInstance(this, args, new.target);
+		};
+	}
+
+	const initInstance = (instance, args, Target) => {
+		const tracking = getTracking(state, Target);
+		const index = tracking.numInstances;
+		const description = getDescription(tracking, index, state, options);
+
+		Object.defineProperty(instance, '__mockyInst', { value: index });
+		Object.defineProperty(instance, '__mockyDescription', { value: description });
+		tracking.args[index] = args;
+		tracking.constructorCalls[index] = deepClone(args);
+
+		if (Object.prototype.hasOwnProperty.call(description, 'constructor'))
+			description.constructor.call(instance, ...args);
 
-		if (typeof state.descriptions[index].constructor === 'function')
-			state.descriptions[index].constructor.call(this, ...arguments);
+		tracking.numInstances++;
 
-		state.numInstances++;
+		// Subclass instances stay plain objects, as their own constructors and fields would trip the proxy
+		if (options.strict && Target === Mock)
+			return createStrictProxy(instance, state.name);
+
+		return instance;
 	};
 
 	state.statics = [];
+	state.accessors = {};
 
 	for (const key of Reflect.ownKeys(options.members)) {
 		if (key === 'constructor')
@@ -263,65 +928,734 @@ function createClass(state, options) {
 		const member = options.members[key];
 
 		if (member?.__mockyStatic) {
-			member.build(Mock, key);
-			state.statics.push(key);
+			buildStatic(Mock, key, member, state, options.verifies.get(key));
+			continue;
+		}
+
+		if (member?.__mockyAccessor) {
+			Object.defineProperty(Mock.prototype, key, {
+				get: member.hasGet ? function() {
+					return this.__mockyDescription?.[key].get.call(this);
+				} : undefined,
+				set: member.hasSet ? function(value) {
+					this.__mockyDescription[key].set.call(this, value);
+				} : undefined,
+				enumerable: true,
+				configurable: true
+			});
 			continue;
 		}
 
 		Object.defineProperty(Mock.prototype, key, {
 			get: function() {
-				return state.descriptions[this.__mockyInst][key];
+				return this.__mockyDescription?.[key];
 			},
 			set: function(value) {
-				state.descriptions[this.__mockyInst][key] = value;
+				this.__mockyDescription[key] = value;
 			},
 			enumerable: true,
 			configurable: true
 		});
 	}
 
+	for (const key of Reflect.ownKeys(options.statics))
+		buildStatic(Mock, key, options.statics[key], state);
+
 	return Mock;
 }
 
-function wireClass(Mock, state, options) {
-	Mock.instance = Mock.inst = (index = 0) => {
-		if (!state.descriptions[index])
-			state.descriptions[index] = createObjectWithProps(options.members);
+function buildStatic(Mock, key, member, state, verify) {
+	if (member?.__mockyAccessor) {
+		const control = member.build(state.accessors, key, state.name);
 
-		return state.descriptions[index];
-	};
-	Object.defineProperty(Mock, 'instCount', { get: () => state.numInstances, configurable: true });
-	Object.defineProperty(Mock, 'instanceCount', { get: () => state.numInstances, configurable: true });
-	Mock.reset = () => {
-		state.descriptions = [];
-		state.numInstances = 0;
-		state.data = {};
-		for (const key of state.statics) {
+		Object.defineProperty(Mock, key, {
+			get: member.hasGet ? () => control.get.call(Mock) : undefined,
+			set: member.hasSet ? (value) => control.set.call(Mock, value) : undefined,
+			enumerable: true,
+			configurable: true
+		});
+		state.statics.push(() => control.reset());
+	} else if (typeof member?.build === 'function') {
+		member.build(Mock, key, state.name, verify);
+		state.statics.push(() => {
 			if (typeof Mock[key]?.reset === 'function')
 				Mock[key].reset();
-		}
-	};
-	Mock.reset();
-
-	return Mock;
+		});
+	} else {
+		Object.defineProperty(Mock, key, { value: member, writable: true, enumerable: true, configurable: true });
+		state.statics.push(() => {
+			Mock[key] = isPlainObject(member) || Array.isArray(member) ? deepClone(member) : member;
+		});
+	}
 }
 
-function deepClone(target) {
-	if (typeof target === 'object') {
-		if (Array.isArray(target)) {
-			return target.map(deepClone);
-		} else if (target?.constructor === Object) {
-			const clone = {};
+function getTracking(state, Target) {
+	if (!state.trackings.has(Target))
+		state.trackings.set(Target, { descriptions: [], args: [], constructorCalls: [], numInstances: 0, template: null });
 
-			for (const key of Reflect.ownKeys(target)) {
-				clone[key] = deepClone(target[key]);
-			}
+	return state.trackings.get(Target);
+}
 
-			return clone;
-		}
+function getDescription(tracking, index, state, options) {
+	if (!tracking.descriptions[index]) {
+		tracking.descriptions[index] = createObjectWithProps(options.members, state.name, undefined, options.verifies);
+
+		if (tracking.template)
+			applyTemplate(tracking.descriptions[index], tracking.template);
 	}
 
-	return target;
+	return tracking.descriptions[index];
+}
+
+function applyTemplate(target, template) {
+	for (const key of Reflect.ownKeys(template)) {
+		const value = template[key];
+
+		if (value?.__mockyKind === 'function') {
+			copyFunctionConfig(target[key].__mockyState, value.__mockyState);
+		} else if (typeof value === 'object' && typeof value?.reset === 'function' && target[key] !== value) {
+			applyTemplate(target[key], value);
+		} else if (key !== 'reset' && key !== 'restore' && typeof value !== 'function') {
+			target[key] = value;
+		}
+	}
+}
+
+function copyFunctionConfig(target, source) {
+	target.defaultRet = { ...source.defaultRet };
+	target.rets = new Map(source.rets);
+	target.whens = Array.from(source.whens);
+	target.delay = source.delay;
+	target.body = source.body;
+	target.impls = new Map(source.impls);
+	target.implQueue = Array.from(source.implQueue);
+	target.retQueue = Array.from(source.retQueue);
+}
+
+function wireClass(Mock, state, options) {
+	const getTarget = (self) => typeof self === 'function' ? self : Mock;
+	const getCount = function() {
+		return getTracking(state, getTarget(this)).numInstances;
+	};
+
+	Object.defineProperty(Mock, '__mockyKind', { value: 'class' });
+	Object.defineProperty(Mock, 'name', { value: String(state.name ?? 'Mock'), configurable: true });
+
+	Mock.instance = Mock.inst = function(index = 0) {
+		return getDescription(getTracking(state, getTarget(this)), index, state, options);
+	};
+	Mock.every = function() {
+		const tracking = getTracking(state, getTarget(this));
+
+		if (!tracking.template)
+			tracking.template = createObjectWithProps(options.members, state.name, undefined, options.verifies);
+
+		return tracking.template;
+	};
+	Mock.instWhere = function(predicate) {
+		const tracking = getTracking(state, getTarget(this));
+		const index = tracking.args.findIndex((args) => predicate(...args));
+
+		return index === -1 ? undefined : tracking.descriptions[index];
+	};
+	Mock.calls = function(key) {
+		const tracking = getTracking(state, getTarget(this));
+		const calls = [];
+
+		if (!options.members[key]?.__mockyFunction || options.members[key].__mockyStatic)
+			throw new TypeError(`${joinPath(state.name, key)} is not an instance function member`);
+
+		tracking.descriptions.forEach((description, inst) => {
+			for (const args of description[key].calls)
+				calls.push({ inst, args });
+		});
+
+		return calls;
+	};
+	Object.defineProperty(Mock, 'constructorCalls', {
+		get: function() {
+			return getTracking(state, getTarget(this)).constructorCalls;
+		},
+		configurable: true
+	});
+	Object.defineProperty(Mock, 'instances', {
+		get: function() {
+			const tracking = getTracking(state, getTarget(this));
+			return tracking.descriptions.slice(0, tracking.numInstances);
+		},
+		configurable: true
+	});
+	Mock.accessor = (key) => {
+		if (!state.accessors[key])
+			throw new TypeError(`${joinPath(state.name, key)} is not a static getter or setter`);
+
+		return state.accessors[key];
+	};
+	Object.defineProperty(Mock, 'instCount', { get: getCount, configurable: true });
+	Object.defineProperty(Mock, 'instanceCount', { get: getCount, configurable: true });
+	Mock.reset = function() {
+		const Target = getTarget(this);
+
+		if (Target !== Mock) {
+			state.trackings.delete(Target);
+			return;
+		}
+
+		state.trackings = new Map();
+		state.data = {};
+		for (const reset of state.statics)
+			reset();
+	};
+	Mock.reset();
+
+	return Mock;
+}
+
+function accessorBuilder() {
+	const accessors = {};
+
+	return {
+		__mockyAccessor: true,
+		get hasGet() {
+			return Boolean(accessors.get);
+		},
+		get hasSet() {
+			return Boolean(accessors.set);
+		},
+		getter: function(body) {
+			accessors.get = functionBuilder(body);
+			return this;
+		},
+		setter: function(body) {
+			accessors.set = functionBuilder(body).args('value');
+			return this;
+		},
+		ret: function(value) {
+			if (!accessors.get)
+				accessors.get = functionBuilder();
+
+			accessors.get.ret(value);
+			return this;
+		},
+		static: function() {
+			this.__mockyStatic = true;
+			return this;
+		},
+		build: function(parent, key, parentPath) {
+			const control = objectBuilder({ ...accessors }).build(parent, key, parentPath);
+
+			Object.defineProperty(control, '__mockyAccessor', { value: true });
+			return control;
+		}
+	};
+}
+
+function verifiedClassBuilder(Real, members) {
+	const name = Real.name || undefined;
+	const verifies = new Map();
+
+	for (const key of Reflect.ownKeys(members)) {
+		if (key === 'constructor')
+			continue;
+
+		const path = joinPath(name, key);
+		const member = members[key];
+		const instanceMember = findDescriptor(Real.prototype, key).descriptor;
+		const staticMember = findDescriptor(Real, key, Function.prototype).descriptor;
+		const isStatic = Boolean(member?.__mockyStatic);
+		const real = isStatic ? staticMember : instanceMember;
+
+		if (!real) {
+			if (isStatic && instanceMember)
+				fail(`${path} is marked .static() but is an instance member of the real class`);
+
+			if (!isStatic && staticMember)
+				fail(`${path} is static on the real class but the mock is not marked .static()`);
+
+			fail(`${path} does not exist on the real class`);
+		}
+
+		verifyMember(member, real, key, name, verifies);
+	}
+
+	return classBuilder(members, verifies).name(name);
+}
+
+function verifiedObjectBuilder(real, props) {
+	const verifies = new Map();
+
+	for (const key of Reflect.ownKeys(props)) {
+		const path = joinPath(undefined, key);
+		const { descriptor } = findDescriptor(real, key);
+
+		if (!descriptor)
+			fail(`${path} does not exist on the real object`);
+
+		verifyMember(props[key], descriptor, key, undefined, verifies);
+	}
+
+	return objectBuilder(props, verifies);
+}
+
+// The real signature is handed to the class or object builder, so a builder shared elsewhere stays unverified
+function verifyMember(member, descriptor, key, parentPath, verifies) {
+	if (!member?.__mockyFunction)
+		return;
+
+	if (typeof descriptor.value !== 'function')
+		fail(`${joinPath(parentPath, key)} is mocked as a function but is not a function on the real target`);
+
+	const verify = getParamInfo(descriptor.value);
+
+	member.__mockyVerifyArgs(verify, key, parentPath);
+	verifies.set(key, verify);
+}
+
+function getParamInfo(fn) {
+	const source = stripComments(Function.prototype.toString.call(fn));
+
+	if (/\{\s*\[native code\]\s*\}$/.test(source))
+		return { count: Infinity };
+
+	const arrow = source.match(/^(?:async\s+)?([\w$]+)\s*=>/);
+
+	if (arrow)
+		return { count: 1 };
+
+	const params = splitParams(source);
+
+	if (!params)
+		return { count: fn.length };
+
+	// Functions reading `arguments` accept any number of them, whatever their declared params
+	if (params.some((param) => param.startsWith('...')) || /\barguments\b/.test(source))
+		return { count: Infinity };
+
+	return { count: params.length };
+}
+
+function stripComments(source, { strings = true } = {}) {
+	let stripped = '';
+	let quote = null;
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+
+		if (quote) {
+			if (char === '\\') {
+				i++;
+
+				if (strings)
+					stripped += char + (source[i] ?? '');
+			} else if (char === quote) {
+				quote = null;
+				stripped += char;
+			} else if (strings) {
+				stripped += char;
+			}
+		} else if (char === '/' && source[i + 1] === '/') {
+			const end = source.indexOf('\n', i);
+
+			if (end === -1)
+				break;
+
+			i = end - 1;
+		} else if (char === '/' && source[i + 1] === '*') {
+			const end = source.indexOf('*/', i + 2);
+
+			if (end === -1)
+				break;
+
+			stripped += ' ';
+			i = end + 1;
+		} else {
+			if (char === '\'' || char === '"' || char === '`')
+				quote = char;
+
+			stripped += char;
+		}
+	}
+
+	return stripped;
+}
+
+function splitParams(source) {
+	const params = [];
+	let depth = 0;
+	let quote = null;
+	let start = -1;
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+
+		if (quote) {
+			if (char === '\\')
+				i++;
+			else if (char === quote)
+				quote = null;
+			continue;
+		}
+
+		if (char === '\'' || char === '"' || char === '`') {
+			quote = char;
+		} else if (char === '(' && depth === 0 && start === -1) {
+			start = i + 1;
+			depth = 1;
+		} else if ('([{'.includes(char)) {
+			depth++;
+		} else if (')]}'.includes(char)) {
+			depth--;
+
+			if (depth === 0 && start !== -1) {
+				params.push(source.slice(start, i).trim());
+				return params.filter((param) => param);
+			}
+		} else if (char === ',' && depth === 1 && start !== -1) {
+			params.push(source.slice(start, i).trim());
+			start = i + 1;
+		}
+	}
+
+	return null;
+}
+
+function autoBuilder(target, overrides = {}) {
+	if (isClass(target))
+		return getAutoClass(target, overrides);
+
+	if (typeof target === 'function')
+		return autoFunction(target);
+
+	if (typeof target === 'object' && target !== null)
+		return objectBuilder(getAutoProps(target, overrides, new Set([target])));
+
+	throw new TypeError(`Cannot auto-mock ${formatValue(target)}: expected a class, function or object`);
+}
+
+function getAutoClass(Target, overrides) {
+	const members = { constructor: functionBuilder() };
+	const statics = {};
+
+	for (const [key, descriptor] of collectMembers(Target.prototype, Object.prototype)) {
+		if (key !== 'constructor')
+			members[key] = 'value' in descriptor ? getAutoMember(descriptor, new Set()) : autoAccessor(descriptor);
+	}
+
+	for (const [key, descriptor] of collectMembers(Target, Function.prototype)) {
+		if (['length', 'name', 'prototype', 'caller', 'arguments'].includes(key))
+			continue;
+
+		if (typeof descriptor.value === 'function')
+			members[key] = autoFunction(descriptor.value).static();
+		else if (!('value' in descriptor))
+			members[key] = autoAccessor(descriptor).static();
+		else
+			statics[key] = getAutoMember(descriptor, new Set());
+	}
+
+	return classBuilder(applyOverrides(members, overrides)).statics(statics).name(Target.name || undefined);
+}
+
+function getAutoProps(target, overrides, seen) {
+	const props = {};
+
+	for (const [key, descriptor] of collectMembers(target, Object.prototype))
+		props[key] = getAutoMember(descriptor, seen);
+
+	return applyOverrides(props, overrides);
+}
+
+function getAutoMember(descriptor, seen) {
+	if (!('value' in descriptor))
+		return autoAccessor(descriptor);
+
+	const value = descriptor.value;
+
+	if (typeof value === 'function')
+		return autoFunction(value);
+
+	if (isPlainObject(value) && !seen.has(value))
+		return objectBuilder(getAutoProps(value, {}, new Set([...seen, value])));
+
+	return value;
+}
+
+function autoFunction(fn) {
+	const builder = functionBuilder();
+
+	return fn[Symbol.toStringTag] === 'AsyncFunction' ? builder.async() : builder;
+}
+
+function autoAccessor(descriptor) {
+	const builder = accessorBuilder();
+
+	if (descriptor.get)
+		builder.getter();
+
+	if (descriptor.set)
+		builder.setter();
+
+	return builder;
+}
+
+function collectMembers(target, stop) {
+	const members = new Map();
+
+	for (let owner = target; owner && owner !== stop; owner = Object.getPrototypeOf(owner)) {
+		for (const key of Reflect.ownKeys(owner)) {
+			if (!members.has(key))
+				members.set(key, Object.getOwnPropertyDescriptor(owner, key));
+		}
+	}
+
+	return members;
+}
+
+function applyOverrides(members, overrides) {
+	for (const key of Reflect.ownKeys(overrides))
+		members[key] = overrides[key];
+
+	return members;
+}
+
+function isClass(target) {
+	if (typeof target !== 'function' || !target.prototype)
+		return false;
+
+	return /^class\b/.test(Function.prototype.toString.call(target))
+		|| Reflect.ownKeys(target.prototype).some((key) => key !== 'constructor');
+}
+
+function cloneArgs(args, options) {
+	switch (options.clone) {
+		case 'deep':
+			return deepClone(args);
+		case 'none':
+			return args;
+		case 'shallow':
+			return mapArgs(args, options, shallowClone);
+		default:
+			return mapArgs(args, options, options.clone);
+	}
+}
+
+function mapArgs(args, options, fn) {
+	if (options.select.length == 1)
+		return fn(args);
+
+	if (Array.isArray(args) && !options.args.length)
+		return args.map((arg) => fn(arg));
+
+	const mapped = {};
+
+	for (const key of Reflect.ownKeys(args))
+		mapped[key] = fn(args[key]);
+
+	return mapped;
+}
+
+function shallowClone(target) {
+	if (typeof target !== 'object' || target === null || isUncloneable(target))
+		return target;
+
+	if (Array.isArray(target))
+		return target.slice();
+
+	if (target instanceof Map || target instanceof Set || target instanceof Date)
+		return new target.constructor(target);
+
+	return Object.assign(Object.create(Object.getPrototypeOf(target)), target);
+}
+
+function deepClone(target, seen = new Map()) {
+	if (typeof target !== 'object' || target === null || isUncloneable(target) || hasHiddenState(target))
+		return target;
+
+	if (seen.has(target))
+		return seen.get(target);
+
+	if (Array.isArray(target)) {
+		const clone = [];
+		seen.set(target, clone);
+		target.forEach((value, i) => {
+			clone[i] = deepClone(value, seen);
+		});
+
+		return clone;
+	}
+
+	if (target instanceof Map) {
+		const clone = new Map();
+		seen.set(target, clone);
+		target.forEach((value, key) => clone.set(deepClone(key, seen), deepClone(value, seen)));
+
+		return Object.setPrototypeOf(clone, Object.getPrototypeOf(target));
+	}
+
+	if (target instanceof Set) {
+		const clone = new Set();
+		seen.set(target, clone);
+		target.forEach((value) => clone.add(deepClone(value, seen)));
+
+		return Object.setPrototypeOf(clone, Object.getPrototypeOf(target));
+	}
+
+	const builtIn = cloneBuiltIn(target);
+
+	if (builtIn) {
+		seen.set(target, builtIn);
+		return builtIn;
+	}
+
+	if (isOpaque(target))
+		return target;
+
+	const clone = Object.create(Object.getPrototypeOf(target));
+	seen.set(target, clone);
+
+	for (const key of Reflect.ownKeys(target)) {
+		const descriptor = Object.getOwnPropertyDescriptor(target, key);
+
+		if ('value' in descriptor)
+			descriptor.value = deepClone(descriptor.value, seen);
+
+		Object.defineProperty(clone, key, descriptor);
+	}
+
+	return clone;
+}
+
+function cloneBuiltIn(target) {
+	if (target instanceof Date)
+		return new Date(target.getTime());
+
+	if (target instanceof RegExp) {
+		const clone = new RegExp(target.source, target.flags);
+		clone.lastIndex = target.lastIndex;
+		return clone;
+	}
+
+	if (target instanceof ArrayBuffer)
+		return target.slice(0);
+
+	if (Buffer.isBuffer(target))
+		return Buffer.from(target);
+
+	if (target instanceof DataView)
+		return new DataView(target.buffer.slice(0), target.byteOffset, target.byteLength);
+
+	if (ArrayBuffer.isView(target))
+		return new target.constructor(target);
+
+	if (target instanceof URL)
+		return new URL(target.href);
+
+	if (target instanceof URLSearchParams)
+		return new URLSearchParams(target);
+
+	return null;
+}
+
+function isUncloneable(target) {
+	return target instanceof Promise || target instanceof WeakMap || target instanceof WeakSet || target instanceof WeakRef;
+}
+
+// Private fields and class mock bookkeeping can't be copied, so such instances are recorded by reference
+function hasHiddenState(target) {
+	if (Object.prototype.hasOwnProperty.call(target, '__mockyInst'))
+		return true;
+
+	for (let proto = Object.getPrototypeOf(target); proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+		const Class = Object.prototype.hasOwnProperty.call(proto, 'constructor') ? proto.constructor : null;
+
+		if (typeof Class === 'function' && hasPrivateMembers(Class))
+			return true;
+	}
+
+	return false;
+}
+
+// Instances keeping their state out of enumerable keys (host objects like Headers) can't be copied or compared
+function isOpaque(target) {
+	if (target instanceof Error)
+		return false;
+
+	const proto = Object.getPrototypeOf(target);
+
+	return hasHiddenState(target) || (proto !== Object.prototype && proto !== null && !getEnumerableKeys(target).length);
+}
+
+function hasPrivateMembers(Class) {
+	if (!privateMembers.has(Class))
+		privateMembers.set(Class, /#[A-Za-z_$]/.test(stripComments(Function.prototype.toString.call(Class), { strings: false })));
+
+	return privateMembers.get(Class);
+}
+
+function isPlainObject(target) {
+	return typeof target === 'object' && target?.constructor === Object;
+}
+
+function isEqual(a, b, seen = new Map()) {
+	if (a === b || (a !== a && b !== b))
+		return true;
+
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null)
+		return false;
+
+	if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b) || isUncloneable(a))
+		return false;
+
+	if (seen.get(a) === b)
+		return true;
+
+	seen.set(a, b);
+
+	if (Array.isArray(a))
+		return a.length === b.length && a.every((value, i) => isEqual(value, b[i], seen));
+
+	if (a instanceof Date)
+		return a.getTime() === b.getTime();
+
+	if (a instanceof RegExp)
+		return a.source === b.source && a.flags === b.flags;
+
+	if (a instanceof URL)
+		return a.href === b.href;
+
+	if (a instanceof ArrayBuffer)
+		return Buffer.from(a).equals(Buffer.from(b));
+
+	if (ArrayBuffer.isView(a))
+		return Buffer.from(a.buffer, a.byteOffset, a.byteLength).equals(Buffer.from(b.buffer, b.byteOffset, b.byteLength));
+
+	if (a instanceof Map) {
+		// Recorded maps hold cloned keys, so object keys are matched structurally like set values
+		return a.size === b.size && Array.from(a).every(([key, value]) => b.has(key)
+			? isEqual(value, b.get(key), seen)
+			: Array.from(b).some(([otherKey, other]) => isEqual(key, otherKey, seen) && isEqual(value, other, seen)));
+	}
+
+	if (a instanceof Set) {
+		return a.size === b.size && Array.from(a).every((value) => b.has(value) || Array.from(b).some((other) => isEqual(value, other, seen)));
+	}
+
+	if (a instanceof URLSearchParams)
+		return a.toString() === b.toString();
+
+	if (a instanceof Error && (a.name !== b.name || a.message !== b.message))
+		return false;
+
+	if (isOpaque(a))
+		return false;
+
+	const keys = getEnumerableKeys(a);
+
+	return keys.length === getEnumerableKeys(b).length && keys.every((key) => isEqual(a[key], b[key], seen));
+}
+
+function getEnumerableKeys(target) {
+	return Reflect.ownKeys(target).filter((key) => Object.prototype.propertyIsEnumerable.call(target, key));
 }
 
 function createSpy(object, key, replacement, argNames) {
@@ -331,26 +1665,829 @@ function createSpy(object, key, replacement, argNames) {
 		if (argNames) replacement = replacement.args(...argNames);
 	}
 
-	if (!replacement) {
-		replacement = functionBuilder((ctx) => {
-			if (ctx.ret !== undefined)
-				return ctx.ret;
+	if (!replacement)
+		replacement = callThroughBuilder();
 
-			return ctx.original.apply(ctx.self, ctx.rawArgs);
-		});
-	}
+	const { owner, descriptor } = findDescriptor(object, key);
+	const isOwn = owner === object;
 
-	const original = object[key];
-	const spyFn = replacement.original(original).build();
-	spyFn.restore = () => {
-		object[key] = original;
-	};
-	object[key] = spyFn;
+	if (isSpy(descriptor?.value) && isOwn)
+		throw new TypeError(`Cannot spy on ${String(key)}: it is already spied on, restore the existing spy first`);
 
-	return spyFn;
+	if (isOwn && !descriptor.configurable && !descriptor.writable)
+		throw new TypeError(`Cannot spy on ${String(key)}: property is neither writable nor configurable`);
+
+	if (!isOwn && !Object.isExtensible(object))
+		throw new TypeError(`Cannot spy on ${String(key)}: object is not extensible`);
+
+	const original = object[key];
+	const spyFn = replacement.original(original).build(undefined, key);
+
+	mirrorFunction(spyFn, original, key);
+	Object.defineProperty(spyFn, '__mockySpy', { value: true });
+
+	spyFn.restore = () => {
+		if (Object.getOwnPropertyDescriptor(object, key)?.value !== spyFn)
+			return;
+
+		if (!isOwn) {
+			delete object[key];
+		} else if (descriptor.configurable) {
+			Object.defineProperty(object, key, descriptor);
+		} else {
+			object[key] = original;
+		}
+	};
+
+	if (isOwn && !descriptor.configurable) {
+		object[key] = spyFn;
+	} else {
+		Object.defineProperty(object, key, {
+			value: spyFn,
+			writable: descriptor?.writable ?? true,
+			enumerable: descriptor?.enumerable ?? true,
+			configurable: true
+		});
+	}
+
+	return spyFn;
+}
+
+function isSpy(value) {
+	return typeof value === 'function' && value.__mockySpy === true;
 }
 
+function mirrorFunction(spyFn, original, key) {
+	if (typeof original !== 'function')
+		return;
+
+	// Keep a name given to the replacement builder
+	if (spyFn.name === String(key))
+		Object.defineProperty(spyFn, 'name', { value: original.name, configurable: true });
+
+	Object.defineProperty(spyFn, 'length', { value: original.length, configurable: true });
+
+	for (const prop of Reflect.ownKeys(original)) {
+		if (['name', 'length', 'prototype', 'arguments', 'caller'].includes(prop) || prop in spyFn)
+			continue;
+
+		Object.defineProperty(spyFn, prop, Object.getOwnPropertyDescriptor(original, prop));
+	}
+}
+
+function createAccessorSpy(object, key, type) {
+	const { owner, descriptor } = findDescriptor(object, key);
+
+	if (!descriptor)
+		throw new TypeError(`Cannot spy on ${String(key)}: property does not exist`);
+
+	if (owner === object && !descriptor.configurable)
+		throw new TypeError(`Cannot spy on ${String(key)}: property is not configurable`);
+
+	if (owner === object && isSpy(descriptor[type]))
+		throw new TypeError(`Cannot spy on ${String(key)}: its ${type}ter is already spied on, restore the existing spy first`);
+
+	// Spying on the other accessor of a key already spied on shares the descriptor to restore once both are gone
+	const other = type === 'get' ? 'set' : 'get';
+	const pairedSpy = owner === object && isSpy(descriptor[other]) ? descriptor[other] : null;
+	const base = pairedSpy ? pairedSpy.__mockyOriginal : { owner, descriptor };
+
+	let value = descriptor.value;
+	const isAccessor = 'get' in descriptor || 'set' in descriptor;
+	const getter = isAccessor ? descriptor.get : () => value;
+	const setter = isAccessor || !descriptor.writable ? descriptor.set : (newValue) => {
+		value = newValue;
+	};
+	const original = type === 'get' ? getter : setter;
+
+	if (!original)
+		throw new TypeError(`Cannot spy on ${String(key)}: property has no ${type}ter`);
+
+	const builder = type === 'get' ? callThroughBuilder() : callThroughBuilder().pick(0);
+	const spyFn = builder.original(original).build(undefined, key);
+
+	Object.defineProperty(spyFn, '__mockySpy', { value: true });
+	Object.defineProperty(spyFn, '__mockyOriginal', { value: base });
+	Object.defineProperty(object, key, {
+		get: type === 'get' ? spyFn : getter,
+		set: type === 'set' ? spyFn : setter,
+		enumerable: descriptor.enumerable,
+		configurable: true
+	});
+	spyFn.restore = () => {
+		const current = Object.getOwnPropertyDescriptor(object, key);
+
+		if (current?.[type] !== spyFn)
+			return;
+
+		if (isSpy(current[other])) {
+			Object.defineProperty(object, key, { ...current, [type]: original });
+		} else if (base.owner === object) {
+			Object.defineProperty(object, key, base.descriptor);
+		} else {
+			delete object[key];
+		}
+	};
+
+	return spyFn;
+}
+
+function findDescriptor(object, key, stop = null) {
+	for (let owner = object; owner && owner !== stop; owner = Object.getPrototypeOf(owner)) {
+		const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+
+		if (descriptor)
+			return { owner, descriptor };
+	}
+
+	return { owner: null, descriptor: undefined };
+}
+
+function spyAll(target, config = {}) {
+	return createSpies(target, config, createSpy);
+}
+
+function createSpies(target, config, spyOn) {
+	const spies = {};
+	const entries = getSpyTargets(target, config);
+
+	for (const { object, key, isStatic } of entries) {
+		const group = isStatic ? (spies.static = spies.static || {}) : spies;
+		group[key] = spyOn(object, key);
+	}
+
+	Object.defineProperty(spies, 'restoreAll', {
+		value: () => {
+			for (const { object, key, isStatic } of entries.slice().reverse()) {
+				const spy = isStatic ? spies.static[key] : spies[key];
+
+				if (object[key] === spy)
+					spy.restore();
+			}
+		}
+	});
+
+	return spies;
+}
+
+function getSpyTargets(target, config) {
+	const isIncluded = (key) => typeof key === 'string' && key !== 'constructor'
+		&& (!config.include || config.include.includes(key))
+		&& !config.exclude?.includes(key);
+	const getTargets = (object, stop, isStatic) => {
+		const targets = [];
+
+		for (const [key, descriptor] of collectMembers(object, stop)) {
+			if (isIncluded(key) && typeof descriptor.value === 'function' && descriptor.writable)
+				targets.push({ object, key, isStatic });
+		}
+
+		return targets;
+	};
+
+	if (!isClass(target))
+		return getTargets(target, Object.prototype, false);
+
+	const targets = getTargets(target.prototype, Object.prototype, false);
+
+	if (config.statics)
+		targets.push(...getTargets(target, Function.prototype, true).filter(({ key }) => !['length', 'name', 'prototype'].includes(key)));
+
+	return targets;
+}
+
+function spyClass(Real, config = {}) {
+	const state = {};
+	const Spied = class extends Real {
+		constructor(...args) {
+			super(...args);
+			state.constructorCalls.push(deepClone(args));
+			state.instances.push(this);
+		}
+	};
+
+	Object.defineProperty(Spied, 'name', { value: Real.name, configurable: true });
+	Object.defineProperty(Spied, '__mockyKind', { value: 'class' });
+
+	// Spies live on the subclass, so the real class is never patched
+	const spies = spyAll(Spied, config);
+	const getCount = () => state.instances.length;
+
+	Spied.spies = spies;
+	Spied.instance = Spied.inst = (index = 0) => state.instances[index];
+	Spied.calls = (key) => {
+		if (!spies[key])
+			throw new TypeError(`${joinPath(Real.name || undefined, key)} is not a spied method`);
+
+		return spies[key].invocations.map((invocation) => ({ inst: state.instances.indexOf(invocation.this), args: invocation.args }));
+	};
+	Object.defineProperty(Spied, 'instances', { get: () => state.instances, configurable: true });
+	Object.defineProperty(Spied, 'constructorCalls', { get: () => state.constructorCalls, configurable: true });
+	Object.defineProperty(Spied, 'instCount', { get: getCount, configurable: true });
+	Object.defineProperty(Spied, 'instanceCount', { get: getCount, configurable: true });
+	Spied.reset = () => {
+		state.instances = [];
+		state.constructorCalls = [];
+		for (const spy of [...Object.values(spies), ...Object.values(spies.static || {})]) {
+			if (typeof spy === 'function')
+				spy.reset();
+		}
+	};
+	Spied.reset();
+
+	return Spied;
+}
+
+function callThroughBuilder() {
+	return functionBuilder((ctx) => {
+		if (ctx.ret !== undefined)
+			return ctx.ret;
+
+		return ctx.original.apply(ctx.self, ctx.rawArgs);
+	});
+}
+
+function createDeepMock(name) {
+	return createDeepNode(undefined, name).proxy;
+}
+
+function createDeepNode(parentPath, key) {
+	const builder = functionBuilder();
+	const mock = builder.build(undefined, key, parentPath);
+	const children = new Map();
+
+	const getChild = (childKey) => {
+		if (!children.has(childKey))
+			children.set(childKey, createDeepNode(mock.name || undefined, childKey));
+
+		return children.get(childKey);
+	};
+
+	const node = {
+		mock: mock,
+		path: (path = '') => {
+			let current = node;
+
+			for (const childKey of path.split('.').filter(Boolean))
+				current = current.getChild(childKey);
+
+			return current.mock;
+		},
+		reset: () => {
+			children.clear();
+			mock.reset();
+		},
+		getChild: getChild
+	};
+
+	node.proxy = new Proxy(mock, {
+		get: (target, prop) => {
+			// Not thenable, so deep mocks can be awaited and returned from async functions
+			if (prop === 'then')
+				return undefined;
+
+			if (prop === 'path' || prop === 'reset')
+				return node[prop];
+
+			const descriptor = Reflect.getOwnPropertyDescriptor(target, prop);
+
+			if (typeof prop === 'symbol' || (descriptor && !descriptor.configurable))
+				return Reflect.get(target, prop);
+
+			return getChild(prop).proxy;
+		}
+	});
+
+	builder.ret(node.proxy);
+	mock.reset();
+
+	return node;
+}
+
+function createRecorder(target, file) {
+	const spies = new Map();
+
+	for (const [key, descriptor] of collectMembers(target, Object.prototype)) {
+		if (key !== 'constructor' && typeof key === 'string' && typeof descriptor.value === 'function')
+			spies.set(key, createSpy(target, key));
+	}
+
+	return {
+		spies: spies,
+		save: async () => {
+			const entries = [];
+
+			for (const [method, spy] of spies) {
+				spy.invocations.forEach((invocation, index) => {
+					entries.push({ sequence: spy.sequences[index], method, invocation });
+				});
+			}
+
+			await Promise.allSettled(entries.map((entry) => entry.invocation.returned));
+			entries.sort((a, b) => a.sequence - b.sequence);
+
+			const cassette = {
+				methods: Array.from(spies.keys()),
+				calls: entries.map((entry) => toCassetteCall(entry.method, entry.invocation))
+			};
+
+			writeFileSync(file, JSON.stringify(cassette, null, '\t') + '\n');
+			return cassette;
+		},
+		restore: () => {
+			for (const spy of spies.values())
+				spy.restore();
+		}
+	};
+}
+
+function toCassetteCall(method, invocation) {
+	const call = { method, args: invocation.args };
+
+	if ('threw' in invocation) {
+		call.threw = toCassetteError(invocation.threw);
+	} else if ('rejected' in invocation) {
+		call.rejected = toCassetteError(invocation.rejected);
+	} else if ('resolved' in invocation) {
+		call.resolved = invocation.resolved;
+	} else {
+		call.returned = invocation.returned;
+	}
+
+	return call;
+}
+
+function toCassetteError(error) {
+	return error instanceof Error ? { name: error.name, message: error.message } : { message: String(error) };
+}
+
+function fromCassetteError(error) {
+	const BuiltIn = globalThis[error.name];
+	const ErrorClass = typeof BuiltIn === 'function' && BuiltIn.prototype instanceof Error ? BuiltIn : Error;
+
+	return Object.assign(new ErrorClass(error.message), error.name ? { name: error.name } : {});
+}
+
+function replayBuilder(file) {
+	const cassette = JSON.parse(readFileSync(file, 'utf8'));
+	const props = {};
+
+	for (const method of cassette.methods || cassette.calls.map((call) => call.method)) {
+		if (!props[method])
+			props[method] = functionBuilder(replayBody(method, cassette.calls.filter((call) => call.method === method)));
+	}
+
+	return objectBuilder(props);
+}
+
+function replayBody(method, calls) {
+	return (ctx) => {
+		const args = JSON.parse(JSON.stringify(ctx.rawArgs));
+		const matches = calls.filter((call) => isEqual(call.args, args));
+
+		if (!matches.length) {
+			const error = new AssertionError({ message: `Unrecorded call to ${method} with ${formatValue(ctx.rawArgs)}: the cassette has no matching call` });
+
+			// Callers of a method recorded as async handle failures through the promise
+			if (calls.some((call) => 'resolved' in call || 'rejected' in call))
+				return Promise.reject(error);
+
+			throw error;
+		}
+
+		// Repeated calls replay the recordings in order, then keep returning the last one
+		ctx.data.replayed = ctx.data.replayed || new Set();
+		const call = matches.find((match) => !ctx.data.replayed.has(match)) || matches[matches.length - 1];
+		ctx.data.replayed.add(call);
+
+		if ('threw' in call)
+			throw fromCassetteError(call.threw);
+
+		if ('rejected' in call)
+			return Promise.reject(fromCassetteError(call.rejected));
+
+		if ('resolved' in call)
+			return Promise.resolve(call.resolved);
+
+		return call.returned;
+	};
+}
+
+const moduleMocks = new Map();
+let originalLoad = null;
+
+function createModuleMock(path, builderOrValue) {
+	const filename = resolveFromCaller(path);
+	const mock = typeof builderOrValue?.build === 'function' ? builderOrValue.build() : builderOrValue;
+
+	return registerModuleMock(filename, mock);
+}
+
+function createPartialModuleMock(path, overrides = {}) {
+	const filename = resolveFromCaller(path);
+	const actual = require(filename);
+
+	if (typeof actual !== 'object' || actual === null)
+		throw new TypeError(`Cannot partially mock ${path}: its exports are not an object`);
+
+	const props = {};
+
+	for (const key of Reflect.ownKeys(actual)) {
+		if (Object.prototype.hasOwnProperty.call(overrides, key))
+			continue;
+
+		props[key] = typeof actual[key] === 'function' ? callThroughBuilder().original(actual[key]) : actual[key];
+	}
+
+	for (const key of Reflect.ownKeys(overrides))
+		props[key] = overrides[key];
+
+	return registerModuleMock(filename, objectBuilder(props).build());
+}
+
+function registerModuleMock(filename, mock) {
+	if (typeof mock !== 'function' && (typeof mock !== 'object' || mock === null))
+		throw new TypeError(`Module mock for ${filename} must be an object or function`);
+
+	if (moduleMocks.has(filename))
+		throw new Error(`Module ${filename} is already mocked`);
+
+	const entry = { exports: mock, parents: new Set() };
+	moduleMocks.set(filename, entry);
+	installModuleLoader();
+
+	Object.defineProperty(mock, 'restore', {
+		value: () => {
+			if (moduleMocks.get(filename) !== entry)
+				return;
+
+			moduleMocks.delete(filename);
+
+			for (const parent of entry.parents)
+				delete require.cache[parent];
+
+			if (!moduleMocks.size)
+				uninstallModuleLoader();
+		},
+		configurable: true
+	});
+
+	return mock;
+}
+
+function installModuleLoader() {
+	if (originalLoad)
+		return;
+
+	originalLoad = Module._load;
+	Module._load = function(request, parent, isMain) {
+		const entry = moduleMocks.get(resolveRequest(request, parent, isMain));
+
+		if (entry) {
+			if (parent?.filename)
+				entry.parents.add(parent.filename);
+
+			return entry.exports;
+		}
+
+		return originalLoad.apply(this, arguments);
+	};
+}
+
+function uninstallModuleLoader() {
+	Module._load = originalLoad;
+	originalLoad = null;
+}
+
+function resolveRequest(request, parent, isMain) {
+	try {
+		return Module._resolveFilename(request, parent, isMain);
+	} catch (error) {
+		return null;
+	}
+}
+
+function resolveFromCaller(path) {
+	return Module.createRequire(getCallerFile()).resolve(path);
+}
+
+function getCallerFile() {
+	const prepareStackTrace = Error.prepareStackTrace;
+	Error.prepareStackTrace = (_, stack) => stack;
+	const stack = new Error().stack;
+	Error.prepareStackTrace = prepareStackTrace;
+
+	const caller = stack.map((frame) => frame.getFileName()).find((file) => file && file !== __filename);
+
+	if (!caller)
+		return `${process.cwd()}/`;
+
+	return caller.startsWith('file:') ? fileURLToPath(caller) : caller;
+}
+
+async function createEsmMock(specifier, builderOrValue) {
+	const loader = globalThis[ESM_LOADER];
+
+	if (!loader)
+		throw new Error('ES module mocking requires the lil-mocky/loader hooks: run node with --import lil-mocky/loader');
+
+	const url = resolveUrlFromCaller(specifier);
+	const mock = typeof builderOrValue?.build === 'function' ? builderOrValue.build() : builderOrValue;
+
+	if (typeof mock !== 'function' && (typeof mock !== 'object' || mock === null))
+		throw new TypeError(`Module mock for ${specifier} must be an object or function`);
+
+	const names = typeof mock === 'function' ? [] : Reflect.ownKeys(mock)
+		.filter((key) => typeof key === 'string' && key !== 'reset' && key !== 'restore');
+	const id = ++loader.lastId;
+
+	loader.mocks.set(id, mock);
+	await loader.send({ type: 'mock', url, id, names });
+
+	Object.defineProperty(mock, 'restore', {
+		value: async () => {
+			await loader.send({ type: 'restore', url, id });
+			loader.mocks.delete(id);
+		},
+		configurable: true
+	});
+
+	return mock;
+}
+
+function resolveUrlFromCaller(specifier) {
+	if (/^(file|node|data):/.test(specifier))
+		return specifier;
+
+	if (Module.isBuiltin(specifier))
+		return `node:${specifier}`;
+
+	const caller = getCallerFile();
+
+	if (/^\.{0,2}\//.test(specifier))
+		return pathToFileURL(resolvePath(dirname(caller), specifier)).href;
+
+	return pathToFileURL(Module.createRequire(caller).resolve(specifier)).href;
+}
+
+function createTimers(config = {}) {
+	const originals = {
+		setImmediate: globalThis.setImmediate,
+		Date: globalThis.Date
+	};
+	const descriptors = [];
+	const timers = new Map();
+	const startPerformance = performance.now();
+	const startNow = config.now ?? originals.Date.now();
+	let now = startNow;
+	let lastId = 0;
+
+	const replace = (target, key, value) => {
+		descriptors.push({ target, key, descriptor: Object.getOwnPropertyDescriptor(target, key) });
+		Object.defineProperty(target, key, { value, writable: true, configurable: true });
+	};
+	const schedule = (callback, delay, args, interval) => {
+		if (typeof callback !== 'function')
+			throw new TypeError('The "callback" argument must be of type function');
+
+		const id = ++lastId;
+		const wait = Math.max(Number(delay) || 0, 0);
+		timers.set(id, { id, callback, args, delay: wait, interval: interval ? Math.max(wait, 1) : null, callAt: now + wait });
+
+		return createTimerHandle(id, timers, () => now);
+	};
+	const clear = (handle) => {
+		timers.delete(typeof handle === 'object' ? handle?.id : handle);
+	};
+	const nextTimer = (until = Infinity) => {
+		let next = null;
+
+		for (const timer of timers.values()) {
+			if (timer.callAt <= until && (!next || timer.callAt < next.callAt || (timer.callAt === next.callAt && timer.id < next.id)))
+				next = timer;
+		}
+
+		return next;
+	};
+	const run = (timer) => {
+		now = Math.max(now, timer.callAt);
+
+		if (timer.interval) {
+			timer.callAt += timer.interval;
+		} else {
+			timers.delete(timer.id);
+		}
+
+		timer.callback(...timer.args);
+	};
+	const flush = () => new Promise((resolve) => originals.setImmediate(resolve));
+	const checkLimit = (count, limit) => {
+		if (count > limit)
+			throw new Error(`Aborting after running ${limit} timers, assuming an infinite loop`);
+	};
+
+	function FakeDate(...args) {
+		if (!new.target)
+			return new originals.Date(now).toString();
+
+		return args.length ? new originals.Date(...args) : new originals.Date(now);
+	}
+
+	Object.defineProperty(FakeDate, 'length', { value: originals.Date.length });
+	Object.defineProperty(FakeDate, 'name', { value: originals.Date.name });
+	FakeDate.prototype = originals.Date.prototype;
+	FakeDate.now = () => now;
+	FakeDate.parse = originals.Date.parse;
+	FakeDate.UTC = originals.Date.UTC;
+
+	replace(globalThis, 'setTimeout', (callback, delay, ...args) => schedule(callback, delay, args, false));
+	replace(globalThis, 'clearTimeout', clear);
+	replace(globalThis, 'setInterval', (callback, delay, ...args) => schedule(callback, delay, args, true));
+	replace(globalThis, 'clearInterval', clear);
+	replace(globalThis, 'setImmediate', (callback, ...args) => schedule(callback, 0, args, false));
+	replace(globalThis, 'clearImmediate', clear);
+	replace(globalThis, 'Date', FakeDate);
+	replace(originals.Date.prototype, 'constructor', FakeDate);
+	replace(performance, 'now', () => startPerformance + now - startNow);
+
+	return {
+		now: () => now,
+		tick: (ms) => {
+			const until = now + ms;
+
+			for (let timer = nextTimer(until); timer; timer = nextTimer(until))
+				run(timer);
+
+			now = until;
+		},
+		tickAsync: async (ms) => {
+			const until = now + ms;
+
+			await flush();
+
+			for (let timer = nextTimer(until); timer; timer = nextTimer(until)) {
+				run(timer);
+				await flush();
+			}
+
+			now = until;
+		},
+		runAll: (limit = 1000) => {
+			let count = 0;
+
+			for (let timer = nextTimer(); timer; timer = nextTimer()) {
+				checkLimit(++count, limit);
+				run(timer);
+			}
+		},
+		runAllAsync: async (limit = 1000) => {
+			let count = 0;
+
+			await flush();
+
+			for (let timer = nextTimer(); timer; timer = nextTimer()) {
+				checkLimit(++count, limit);
+				run(timer);
+				await flush();
+			}
+		},
+		runOnlyPending: () => {
+			const pending = Array.from(timers.values())
+				.sort((a, b) => a.callAt - b.callAt || a.id - b.id)
+				.map((timer) => ({ timer, callAt: timer.callAt }));
+
+			for (const { timer, callAt } of pending) {
+				if (timers.get(timer.id) === timer && timer.callAt === callAt)
+					run(timer);
+			}
+		},
+		restore: () => {
+			for (const { target, key, descriptor } of descriptors.splice(0).reverse()) {
+				if (descriptor) {
+					Object.defineProperty(target, key, descriptor);
+				} else {
+					delete target[key];
+				}
+			}
+
+			timers.clear();
+		}
+	};
+}
+
+function createTimerHandle(id, timers, getNow) {
+	return {
+		id,
+		ref: function() {
+			return this;
+		},
+		unref: function() {
+			return this;
+		},
+		hasRef: () => true,
+		refresh: function() {
+			const timer = timers.get(id);
+
+			if (timer)
+				timer.callAt = getNow() + (timer.interval ?? timer.delay);
+
+			return this;
+		},
+		[Symbol.toPrimitive]: () => id
+	};
+}
+
+function createSandbox() {
+	const mocks = new Set();
+	const spies = [];
+
+	const track = (builderFn) => (...args) => {
+		const builder = builderFn(...args);
+		const build = builder.build;
+
+		builder.build = function(parent, ...rest) {
+			const mock = build.call(this, parent, ...rest);
+
+			if (!parent)
+				mocks.add(mock);
+
+			return mock;
+		};
+
+		return builder;
+	};
+	const isPatched = ({ object, key, spy }) => {
+		const descriptor = Object.getOwnPropertyDescriptor(object, key);
+
+		return descriptor?.value === spy || descriptor?.get === spy || descriptor?.set === spy;
+	};
+	const register = (object, key, spy) => {
+		spies.push({ object, key, spy });
+		mocks.add(spy);
+		return spy;
+	};
+	const spy = (object, key, ...rest) => register(object, key, createSpy(object, key, ...rest));
+
+	spy.get = (object, key) => register(object, key, createSpy.get(object, key));
+	spy.set = (object, key) => register(object, key, createSpy.set(object, key));
+
+	return {
+		create: (builder) => {
+			const mock = builder.build();
+			mocks.add(mock);
+			return mock;
+		},
+		function: track(functionBuilder),
+		fn: track(functionBuilder),
+		object: track(objectBuilder),
+		obj: track(objectBuilder),
+		class: track(classBuilder),
+		cls: track(classBuilder),
+		spy,
+		spyAll: (target, config = {}) => createSpies(target, config, spy),
+		resetAll: () => {
+			for (const mock of mocks)
+				mock.reset();
+		},
+		restoreAll: () => {
+			for (const entry of spies.splice(0).reverse()) {
+				if (isPatched(entry))
+					entry.spy.restore();
+				mocks.delete(entry.spy);
+			}
+		},
+		assertRestored: () => {
+			const patched = spies.filter(isPatched).map(({ key }) => String(key));
+
+			if (patched.length)
+				fail(`Expected all spies to be restored, but ${patched.length} ${patched.length === 1 ? 'is' : 'are'} still active: ${patched.join(', ')}`);
+		}
+	};
+}
+
+getHistory.clear = () => {
+	clearedSequence = lastSequence;
+};
+classBuilder.verified = verifiedClassBuilder;
+objectBuilder.verified = verifiedObjectBuilder;
+createSpy.get = (object, key) => createAccessorSpy(object, key, 'get');
+createSpy.set = (object, key) => createAccessorSpy(object, key, 'set');
+createModuleMock.partial = createPartialModuleMock;
+
 module.exports = {
+	auto: autoBuilder,
+	history: getHistory,
+	deep: createDeepMock,
+	waitFor: waitFor,
+	record: createRecorder,
+	replay: replayBuilder,
+	assertOrder: assertOrder,
+	timers: createTimers,
+	esm: createEsmMock,
+	module: createModuleMock,
+	sandbox: createSandbox,
+	spyAll: spyAll,
+	spyClass: spyClass,
 	spy: createSpy,
 	create: mockBuilder,
 	function: functionBuilder,
@@ -359,4 +2496,6 @@ module.exports = {
 	obj: objectBuilder,
 	class: classBuilder,
 	cls: classBuilder,
+	getter: (body) => accessorBuilder().getter(body),
+	setter: (body) => accessorBuilder().setter(body),
 };
@@ -0,0 +1,50 @@
+const ESM_SCHEME = 'lil-mocky:';
+
+const mocks = new Map();
+const exportNames = new Map();
+
+export function initialize({ port }) {
+	port.on('message', ({ messageId, type, url, id, names }) => {
+		if (type === 'mock') {
+			mocks.set(url, id);
+			exportNames.set(id, names);
+		} else if (mocks.get(url) === id) {
+			mocks.delete(url);
+		}
+
+		port.postMessage({ messageId });
+	});
+}
+
+export async function resolve(specifier, context, nextResolve) {
+	if (specifier.startsWith(ESM_SCHEME))
+		return { url: specifier, shortCircuit: true };
+
+	const resolved = await nextResolve(specifier, context);
+	const id = mocks.get(resolved.url);
+
+	if (id === undefined)
+		return resolved;
+
+	return { url: `${ESM_SCHEME}esm/${id}`, shortCircuit: true };
+}
+
+export async function load(url, context, nextLoad) {
+	if (!url.startsWith(ESM_SCHEME))
+		return nextLoad(url, context);
+
+	const id = Number(url.split('/').pop());
+	const names = exportNames.get(id);
+
+	const lines = [
+		`const mock = globalThis[Symbol.for('lil-mocky.esm')].mocks.get(${id});`,
+		`export default ${names.includes('default') ? 'mock.default' : 'mock'};`
+	];
+
+	names.filter((name) => name !== 'default').forEach((name, i) => {
+		lines.push(`const export${i} = mock[${JSON.stringify(name)}];`);
+		lines.push(`export { export${i} as ${JSON.stringify(name)} };`);
+	});
+
+	return { format: 'module', source: lines.join('\n'), shortCircuit: true };
+}
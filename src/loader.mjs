@@ -0,0 +1,32 @@
+import { register } from 'node:module';
+import { MessageChannel } from 'node:worker_threads';
+
+const ESM_LOADER = Symbol.for('lil-mocky.esm');
+
+if (!globalThis[ESM_LOADER]) {
+	const { port1, port2 } = new MessageChannel();
+	const pending = new Map();
+	let lastMessage = 0;
+
+	port1.on('message', ({ messageId }) => {
+		pending.get(messageId)();
+		pending.delete(messageId);
+
+		if (!pending.size)
+			port1.unref();
+	});
+	port1.unref();
+
+	register('./loader-hooks.mjs', import.meta.url, { data: { port: port2 }, transferList: [port2] });
+
+	globalThis[ESM_LOADER] = {
+		mocks: new Map(),
+		lastId: 0,
+		send: (message) => new Promise((resolve) => {
+			const messageId = ++lastMessage;
+			pending.set(messageId, resolve);
+			port1.ref();
+			port1.postMessage({ ...message, messageId });
+		})
+	};
+}
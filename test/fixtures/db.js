@@ -0,0 +1,7 @@
+const users = { 1: { id: 1, name: 'Alice' } };
+
+module.exports = {
+	table: 'users',
+	findById: (id) => users[id] || null,
+	count: () => Object.keys(users).length
+};
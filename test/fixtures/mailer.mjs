@@ -0,0 +1,7 @@
+export const from = 'noreply@example.com';
+
+export function send(to, subject) {
+	return { sent: true, to, subject };
+}
+
+export default { send };
@@ -0,0 +1,13 @@
+import mailer, { send, from } from './mailer.mjs';
+
+export function notify(user) {
+	return send(user.email, `Hello ${user.name}`);
+}
+
+export function sender() {
+	return from;
+}
+
+export function defaultExport() {
+	return mailer;
+}
@@ -0,0 +1,6 @@
+const db = require('./db');
+
+module.exports = {
+	getName: (id) => db.findById(id)?.name ?? null,
+	getCount: () => db.count()
+};
@@ -1,6 +1,31 @@
-const { expect } = require('chai');
+const { AssertionError } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
 const mocky = require('../src/lil-mocky.js');
 
+chai.use(require('../src/chai.js'));
+const { expect } = chai;
+
+async function collectUnhandledRejections(run) {
+	const listeners = process.listeners('unhandledRejection');
+	const reasons = [];
+
+	process.removeAllListeners('unhandledRejection');
+	process.on('unhandledRejection', (reason) => reasons.push(reason));
+
+	try {
+		await run();
+		await new Promise((resolve) => setImmediate(resolve));
+	} finally {
+		process.removeAllListeners('unhandledRejection');
+		listeners.forEach((listener) => process.on('unhandledRejection', listener));
+	}
+
+	return reasons;
+}
+
 
 describe('lil-mocky', () => {
 	describe('function', () => {
@@ -212,13 +237,15 @@ describe('lil-mocky', () => {
 			expect(mock.calls[0].data[sym]).to.equal('symbol-value');
 			expect(mock.calls[0].data.normal).to.equal(1);
 		});
-		it('will pass non-plain objects through deepClone by reference', () => {
+		it('will snapshot Date arguments instead of storing them by reference', () => {
 			const mock = mocky.function().args('d').build();
 
 			const date = new Date('2025-01-01');
 			mock(date);
+			date.setFullYear(2030);
 
-			expect(mock.calls[0].d).to.equal(date);
+			expect(mock.calls[0].d).to.not.equal(date);
+			expect(mock.calls[0].d.toISOString()).to.equal('2025-01-01T00:00:00.000Z');
 		});
 		it('will correctly return falsy values (0, false, empty string, null)', () => {
 			const mock = mocky.function().build();
@@ -637,8 +664,6 @@ describe('lil-mocky', () => {
 				getValue: mocky.function().args('x')
 			}));
 
-			Mock.inst().getValue.ret('mock-value');
-
 			class Child extends Mock {
 				constructor(value) {
 					super(value);
@@ -651,12 +676,14 @@ describe('lil-mocky', () => {
 				}
 			}
 
+			Child.inst().getValue.ret('mock-value');
+
 			const child = new Child(10);
 
 			// Mock constructor should have run
 			expect(child.mockInitialized).to.equal(true);
 			expect(child.mockValue).to.equal(10);
-			expect(Mock.inst().constructor.calls[0]).to.deep.equal({ value: 10 });
+			expect(Child.inst().constructor.calls[0]).to.deep.equal({ value: 10 });
 
 			// Child constructor should have run after
 			expect(child.childInitialized).to.equal(true);
@@ -665,7 +692,7 @@ describe('lil-mocky', () => {
 			// Child's overridden method calls super and wraps result
 			const result = child.getValue('test');
 			expect(result).to.equal('child-mock-value');
-			expect(Mock.inst().getValue.calls[0]).to.deep.equal({ x: 'test' });
+			expect(Child.inst().getValue.calls[0]).to.deep.equal({ x: 'test' });
 		});
 
 		it('will not expose __mockyInst in deep equal comparisons', () => {
@@ -982,6 +1009,2695 @@ describe('lil-mocky', () => {
 		});
 	});
 
+	describe('when', () => {
+		it('will return values matched by positional arguments regardless of call order', () => {
+			const findById = mocky.fn().args('id').build();
+			findById.when(1).ret({ id: 1, name: 'Alice' });
+			findById.when(2).ret({ id: 2, name: 'Bob' });
+
+			expect(findById(2)).to.deep.equal({ id: 2, name: 'Bob' });
+			expect(findById(1)).to.deep.equal({ id: 1, name: 'Alice' });
+			expect(findById(3)).to.equal(undefined);
+		});
+		it('will deep compare arguments and require the same number of arguments', () => {
+			const mock = mocky.fn().build();
+			mock.when({ a: [1, 2] }, 'x').ret('matched');
+
+			expect(mock({ a: [1, 2] }, 'x')).to.equal('matched');
+			expect(mock({ a: [1, 2] })).to.equal(undefined);
+			expect(mock({ a: [1, 3] }, 'x')).to.equal(undefined);
+		});
+		it('will match named args partially when .args() is configured', () => {
+			const mock = mocky.fn().args('table', 'id').build();
+			mock.when({ id: 7 }).ret('seven');
+
+			expect(mock('users', 7)).to.equal('seven');
+			expect(mock('posts', 7)).to.equal('seven');
+			expect(mock('users', 8)).to.equal(undefined);
+		});
+		it('will treat plain object arguments as positional when keys are not arg names', () => {
+			const mock = mocky.fn().args('user').build();
+			mock.when({ name: 'Alice' }).ret('found');
+
+			expect(mock({ name: 'Alice' })).to.equal('found');
+		});
+		it('will throw from a matched when', () => {
+			const mock = mocky.fn().args('id').build();
+			mock.when(0).throw(new Error('not found'));
+			mock.ret('default');
+
+			expect(() => mock(0)).to.throw('not found');
+			expect(mock(1)).to.equal('default');
+			expect(mock.calls.length).to.equal(2);
+		});
+		it('will call a matched implementation with the context', () => {
+			const mock = mocky.fn((ctx) => 'body').args('x').build();
+			mock.when(2).call((ctx) => ctx.args.x * 10);
+
+			expect(mock(2)).to.equal(20);
+			expect(mock(3)).to.equal('body');
+		});
+		it('will give per-index rets precedence over when and when over default ret', () => {
+			const mock = mocky.fn().build();
+			mock.ret('default');
+			mock.ret('first', 0);
+			mock.when('a').ret('matched');
+
+			expect(mock('a')).to.equal('first');
+			expect(mock('a')).to.equal('matched');
+			expect(mock('b')).to.equal('default');
+		});
+		it('will pass the matched value to a custom body as ctx.ret', () => {
+			const mock = mocky.fn((ctx) => `ret:${ctx.ret}`).build();
+			mock.when('a').ret('matched');
+
+			expect(mock('a')).to.equal('ret:matched');
+			expect(mock('b')).to.equal('ret:undefined');
+		});
+		it('will prefer the most recently added matching when', () => {
+			const mock = mocky.fn().build();
+			mock.when('a').ret('old');
+			mock.when('a').ret('new');
+
+			expect(mock('a')).to.equal('new');
+		});
+		it('will configure when on the builder and restore it on reset', () => {
+			const mock = mocky.fn().args('id').when(1).ret('one').when(2).throw(new Error('two')).build();
+			mock.when(3).ret('three');
+
+			expect(mock(1)).to.equal('one');
+			expect(() => mock(2)).to.throw('two');
+			expect(mock(3)).to.equal('three');
+
+			mock.reset();
+
+			expect(mock(1)).to.equal('one');
+			expect(mock(3)).to.equal(undefined);
+		});
+		it('will support when on class instance members', () => {
+			const Repo = mocky.cls({
+				find: mocky.fn().args('id')
+			}).build();
+
+			Repo.inst(0).find.when(5).ret('five');
+			const repo = new Repo();
+
+			expect(repo.find(5)).to.equal('five');
+		});
+	});
+
+	describe('assertions', () => {
+		it('will pass assertions that match recorded calls', () => {
+			const mock = mocky.fn().args('id', { opts: {} }).build();
+
+			mock.assertNotCalled();
+			mock(1);
+			mock(2, { force: true });
+
+			mock.assertCalled();
+			mock.assertCalledTimes(2);
+			mock.assertCalledWith(1);
+			mock.assertCalledWith({ id: 2, opts: { force: true } });
+			mock.assertNthCalledWith(0, 1, {});
+			mock.assertLastCalledWith(2, { force: true });
+		});
+		it('will fill omitted names and defaults in the named form', () => {
+			const mock = mocky.fn().args('a', 'b').build();
+			const withDefault = mocky.fn().args('a', { b: 5 }).build();
+
+			mock(1);
+			withDefault(1);
+
+			mock.assertCalledWith({ a: 1 });
+			mock.assertNthCalledWith(0, { a: 1 });
+			withDefault.assertCalledWith({ a: 1 });
+			withDefault.assertCalledWith({ a: 1, b: 5 });
+			expect(() => withDefault.assertCalledWith({ a: 1, b: 6 })).to.throw(AssertionError);
+		});
+		it('will compare raw argument arrays when no args config is set', () => {
+			const mock = mocky.fn().build();
+			mock('a', ['b']);
+
+			mock.assertCalledWith('a', ['b']);
+			expect(() => mock.assertCalledWith('a')).to.throw(AssertionError);
+		});
+		it('will compare the single picked argument', () => {
+			const mock = mocky.fn().pick(1).build();
+			mock('ignored', { id: 1 });
+
+			mock.assertCalledWith({ id: 1 });
+		});
+		it('will throw an AssertionError listing every call with a diff', () => {
+			const mock = mocky.fn().args('id', 'data').name('save').build();
+			mock(1, { name: 'Alice' });
+			mock(2, { name: 'Bob', admin: true });
+
+			expect(() => mock.assertCalledWith(2, { name: 'Bob' })).to.throw(AssertionError,
+				'Expected save to have been called with:\n' +
+				'  { id: 2, data: { name: \'Bob\' } }\n' +
+				'but no recorded call matched.\n\n' +
+				'Recorded calls (2):\n' +
+				'  #0 { id: 1, data: { name: \'Alice\' } }\n' +
+				'       .id: expected 2, received 1\n' +
+				'       .data.name: expected \'Bob\', received \'Alice\'\n' +
+				'  #1 { id: 2, data: { name: \'Bob\', admin: true } }\n' +
+				'       .data.admin: unexpected true'
+			);
+		});
+		it('will report call counts in times assertions', () => {
+			const mock = mocky.fn().build();
+			mock('x');
+
+			expect(() => mock.assertCalledTimes(2)).to.throw(AssertionError,
+				'Expected mock to have been called 2 times, but it was called 1 time.\n\n' +
+				'Recorded calls (1):\n' +
+				'  #0 [ \'x\' ]'
+			);
+			expect(() => mock.assertNotCalled()).to.throw(AssertionError, 'not to have been called');
+			mock.reset();
+			expect(() => mock.assertCalled()).to.throw(AssertionError, 'but it was not called');
+		});
+		it('will fail nth and last call assertions', () => {
+			const mock = mocky.fn().args('x').build();
+
+			expect(() => mock.assertLastCalledWith(1)).to.throw(AssertionError, 'but it was called 0 times');
+
+			mock(1);
+			mock(2);
+
+			mock.assertNthCalledWith(0, 1);
+			expect(() => mock.assertNthCalledWith(1, 1)).to.throw(AssertionError, 'Expected call #1 of mock');
+			expect(() => mock.assertLastCalledWith(1)).to.throw(AssertionError, '.x: expected 1, received 2');
+		});
+		it('will name spies and object members after their key', () => {
+			const api = mocky.obj({ get: mocky.fn() }).build();
+			const obj = { load: () => 'real' };
+			const spy = mocky.spy(obj, 'load');
+
+			expect(() => api.get.assertCalled()).to.throw(AssertionError, 'Expected get to have been called');
+			expect(() => spy.assertCalled()).to.throw(AssertionError, 'Expected load to have been called');
+
+			spy.restore();
+		});
+	});
+
+	describe('chai plugin', () => {
+		it('will assert a function mock was called', () => {
+			const mock = mocky.fn().build();
+
+			expect(mock).to.not.have.been.called;
+			mock();
+			expect(mock).to.have.been.called;
+			expect(() => expect(mock).to.not.have.been.called).to.throw(chai.AssertionError, 'not to have been called, but it was called 1 time');
+		});
+		it('will assert call counts', () => {
+			const mock = mocky.fn().name('notify').build();
+			mock('a');
+			mock('b');
+
+			expect(mock).to.have.been.calledTimes(2);
+			expect(() => expect(mock).to.have.been.calledTimes(1)).to.throw(
+				chai.AssertionError,
+				'expected notify to have been called 1 time, but it was called 2 times\n\n' +
+				'Recorded calls (2):\n' +
+				'  #0 [ \'a\' ]\n' +
+				'  #1 [ \'b\' ]'
+			);
+		});
+		it('will assert calledWith using positional or named arguments', () => {
+			const mock = mocky.fn().args('id', 'data').build();
+			mock(1, { name: 'Alice' });
+
+			expect(mock).to.have.been.calledWith(1, { name: 'Alice' });
+			expect(mock).to.have.been.calledWith({ id: 1, data: { name: 'Alice' } });
+			expect(mock).to.not.have.been.calledWith(2, { name: 'Alice' });
+			expect(() => expect(mock).to.have.been.calledWith(2)).to.throw(chai.AssertionError, '.id: expected 2, received 1');
+			expect(() => expect(mock).to.not.have.been.calledWith(1, { name: 'Alice' })).to.throw(chai.AssertionError, 'not to have been called with 1');
+		});
+		it('will assert calledOnceWith', () => {
+			const mock = mocky.fn().args('x').build();
+			mock('a');
+
+			expect(mock).to.have.been.calledOnceWith('a');
+
+			mock('a');
+
+			expect(mock).to.not.have.been.calledOnceWith('a');
+			expect(() => expect(mock).to.have.been.calledOnceWith('a')).to.throw(chai.AssertionError, 'called 1 time, but it was called 2 times');
+		});
+		it('will assert class mock instance counts', () => {
+			const Logger = mocky.cls({ info: mocky.fn() }).build();
+			new Logger();
+			new Logger();
+
+			expect(Logger).to.have.instances(2);
+			expect(() => expect(Logger).to.have.instances(1)).to.throw(chai.AssertionError, 'to have 1 instances, but it has 2');
+		});
+		it('will assert on class instance members and spies', () => {
+			const Logger = mocky.cls({ info: mocky.fn().args('message') }).build();
+			const obj = { load: () => 'real' };
+			const spy = mocky.spy(obj, 'load');
+
+			new Logger().info('ready');
+			obj.load('config');
+
+			expect(Logger.inst(0).info).to.have.been.calledWith('ready');
+			expect(spy).to.have.been.calledOnceWith('config');
+			expect(() => expect(spy).to.have.been.calledWith('other')).to.throw(chai.AssertionError, 'Expected load to have been called with');
+
+			spy.restore();
+		});
+		it('will reject values that are not lil-mocky mocks', () => {
+			expect(() => expect(() => {}).to.have.been.called).to.throw(chai.AssertionError, 'to be a lil-mocky function mock');
+			expect(() => expect(mocky.fn().build()).to.have.instances(0)).to.throw(chai.AssertionError, 'to be a lil-mocky class mock');
+		});
+	});
+
+	describe('sandbox', () => {
+		it('will reset every mock it builds', () => {
+			const sandbox = mocky.sandbox();
+			const fn = sandbox.fn().ret('builder').build();
+			const api = sandbox.obj({ get: mocky.fn(), baseURL: 'a' }).build();
+			const Logger = sandbox.cls({ info: mocky.fn() }).build();
+			const created = sandbox.create(mocky.fn());
+
+			fn.ret('override');
+			fn();
+			api.get();
+			api.baseURL = 'b';
+			new Logger().info();
+			created();
+
+			sandbox.resetAll();
+
+			expect(fn.calls.length).to.equal(0);
+			expect(fn()).to.equal('builder');
+			expect(api.get.calls.length).to.equal(0);
+			expect(api.baseURL).to.equal('a');
+			expect(Logger.instCount).to.equal(0);
+			expect(created.calls.length).to.equal(0);
+		});
+		it('will reset nested mocks only through their parent', () => {
+			const sandbox = mocky.sandbox();
+			const get = sandbox.fn();
+			const api = sandbox.obj({ get }).build();
+
+			let resets = 0;
+			const reset = api.get.reset;
+			api.get.reset = () => {
+				resets++;
+				reset();
+			};
+
+			sandbox.resetAll();
+
+			expect(resets).to.equal(1);
+		});
+		it('will restore every spy and reset them', () => {
+			const sandbox = mocky.sandbox();
+			const obj = {
+				greet: () => 'hello',
+				leave: () => 'bye'
+			};
+
+			const greet = sandbox.spy(obj, 'greet');
+			sandbox.spy(obj, 'leave', () => 'replaced');
+			greet.ret('spied');
+
+			expect(obj.greet()).to.equal('spied');
+			expect(obj.leave()).to.equal('replaced');
+
+			sandbox.resetAll();
+			expect(greet.calls.length).to.equal(0);
+			expect(obj.greet()).to.equal('hello');
+
+			sandbox.restoreAll();
+			expect(obj.leave()).to.equal('bye');
+			expect(obj.greet).to.not.equal(greet);
+			sandbox.assertRestored();
+		});
+		it('will refuse repeated spies on the same key and still restore the first', () => {
+			const sandbox = mocky.sandbox();
+			const obj = { run: () => 'original' };
+			const original = obj.run;
+
+			sandbox.spy(obj, 'run');
+			expect(() => sandbox.spy(obj, 'run')).to.throw(TypeError, 'already spied on');
+			sandbox.restoreAll();
+
+			expect(obj.run).to.equal(original);
+			sandbox.assertRestored();
+		});
+		it('will report spies that are still patched', () => {
+			const sandbox = mocky.sandbox();
+			const obj = { greet: () => 'hello', leave: () => 'bye' };
+
+			sandbox.spy(obj, 'greet');
+			const leave = sandbox.spy(obj, 'leave');
+
+			expect(() => sandbox.assertRestored()).to.throw(AssertionError, 'but 2 are still active: greet, leave');
+
+			leave.restore();
+			expect(() => sandbox.assertRestored()).to.throw(AssertionError, 'but 1 is still active: greet');
+
+			sandbox.restoreAll();
+			sandbox.assertRestored();
+		});
+	});
+
+	describe('module', () => {
+		it('will return a built mock from the next require of the module', () => {
+			const db = mocky.module('./fixtures/db', mocky.obj({
+				findById: mocky.fn().args('id'),
+				count: mocky.fn().ret(42)
+			}));
+			db.findById.when(7).ret({ id: 7, name: 'Mocked' });
+
+			const userService = require('./fixtures/userService');
+
+			expect(userService.getName(7)).to.equal('Mocked');
+			expect(userService.getCount()).to.equal(42);
+			expect(db.findById.calls[0]).to.deep.equal({ id: 7 });
+
+			db.restore();
+		});
+		it('will clear the require cache of modules that loaded the mock on restore', () => {
+			const db = mocky.module('./fixtures/db', { findById: () => ({ name: 'Plain' }) });
+
+			expect(require('./fixtures/userService').getName(1)).to.equal('Plain');
+
+			db.restore();
+
+			expect(require('./fixtures/userService').getName(1)).to.equal('Alice');
+			delete require.cache[require.resolve('./fixtures/userService')];
+		});
+		it('will keep restore when the object mock is reset', () => {
+			const db = mocky.module('./fixtures/db', mocky.obj({ count: mocky.fn() }));
+
+			db.reset();
+
+			expect(db.restore).to.be.a('function');
+			db.restore();
+		});
+		it('will mock modules with function and class mocks', () => {
+			const fn = mocky.module('./fixtures/db', mocky.fn().ret('called'));
+
+			expect(require('./fixtures/db')()).to.equal('called');
+			expect(fn.calls.length).to.equal(1);
+
+			fn.restore();
+
+			expect(require('./fixtures/db').table).to.equal('users');
+		});
+		it('will refuse to mock the same module twice', () => {
+			const db = mocky.module('./fixtures/db', {});
+
+			expect(() => mocky.module('./fixtures/db', {})).to.throw('is already mocked');
+
+			db.restore();
+		});
+		it('will spy on real exports and override some in a partial mock', () => {
+			const db = mocky.module.partial('./fixtures/db', {
+				count: mocky.fn().ret(99)
+			});
+
+			const userService = require('./fixtures/userService');
+
+			expect(userService.getName(1)).to.equal('Alice');
+			expect(userService.getCount()).to.equal(99);
+			expect(db.findById.calls[0]).to.deep.equal([1]);
+			expect(db.table).to.equal('users');
+
+			db.findById.ret({ name: 'Overridden' });
+			expect(userService.getName(1)).to.equal('Overridden');
+
+			db.restore();
+		});
+	});
+
+	describe('esm', () => {
+		before(async () => {
+			await import('../src/loader.mjs');
+		});
+
+		it('will swap a mocked dependency into the next import', async () => {
+			const mailer = await mocky.esm('./fixtures/mailer.mjs', mocky.obj({
+				send: mocky.fn().args('to', 'subject').ret({ sent: false }),
+				from: 'mock@example.com'
+			}));
+
+			const notifier = await import('./fixtures/notifier.mjs?swap');
+
+			expect(notifier.notify({ email: 'a@example.com', name: 'Alice' })).to.deep.equal({ sent: false });
+			expect(notifier.sender()).to.equal('mock@example.com');
+			expect(notifier.defaultExport()).to.equal(mailer);
+			expect(mailer.send.calls[0]).to.deep.equal({ to: 'a@example.com', subject: 'Hello Alice' });
+
+			mailer.send.ret({ sent: 'later' });
+			expect(notifier.notify({ email: 'b@example.com', name: 'Bob' })).to.deep.equal({ sent: 'later' });
+
+			mailer.reset();
+			expect(mailer.send.calls.length).to.equal(0);
+
+			await mailer.restore();
+		});
+		it('will expose named exports of the mock through the namespace', async () => {
+			const mailer = await mocky.esm('./fixtures/mailer.mjs', { send: mocky.fn().build() });
+			const namespace = await import('./fixtures/mailer.mjs');
+
+			namespace.send('x');
+
+			expect(namespace.send).to.equal(mailer.send);
+			expect(namespace.default).to.equal(mailer);
+			expect(mailer.send.calls[0]).to.deep.equal(['x']);
+
+			await mailer.restore();
+		});
+		it('will import the real module again after restore', async () => {
+			const mailer = await mocky.esm('./fixtures/mailer.mjs', { send: mocky.fn().build() });
+			await mailer.restore();
+
+			const notifier = await import('./fixtures/notifier.mjs?restored');
+
+			expect(notifier.notify({ email: 'c@example.com', name: 'Carol' })).to.deep.equal({
+				sent: true,
+				to: 'c@example.com',
+				subject: 'Hello Carol'
+			});
+		});
+		it('will mock built-in modules', async () => {
+			const os = await mocky.esm('os', { hostname: mocky.fn().ret('mocked-host').build() });
+			const { hostname } = await import('node:os');
+
+			expect(hostname()).to.equal('mocked-host');
+
+			await os.restore();
+		});
+	});
+
+	describe('timers', () => {
+		let clock;
+
+		beforeEach(() => {
+			clock = mocky.timers({ now: 1000 });
+		});
+		afterEach(() => {
+			clock.restore();
+		});
+
+		it('will run timeouts when the clock ticks past them', () => {
+			const callback = mocky.fn().build();
+
+			setTimeout(callback, 100, 'a');
+			setTimeout(callback, 50, 'b');
+
+			clock.tick(99);
+			expect(callback.calls).to.deep.equal([['b']]);
+			expect(clock.now()).to.equal(1099);
+
+			clock.tick(1);
+			expect(callback.calls).to.deep.equal([['b'], ['a']]);
+		});
+		it('will clear timeouts, intervals and immediates by handle or id', () => {
+			const callback = mocky.fn().build();
+
+			clearTimeout(setTimeout(callback, 10));
+			clearInterval(Number(setInterval(callback, 10)));
+			clearImmediate(setImmediate(callback));
+
+			clock.runAll();
+			expect(callback.calls.length).to.equal(0);
+		});
+		it('will repeat intervals and run immediates first', () => {
+			const order = [];
+
+			const interval = setInterval(() => order.push('interval'), 30);
+			setTimeout(() => order.push('timeout'), 45);
+			setImmediate(() => order.push('immediate'));
+
+			clock.tick(90);
+			clearInterval(interval);
+
+			expect(order).to.deep.equal(['immediate', 'interval', 'timeout', 'interval', 'interval']);
+		});
+		it('will fake Date and performance.now', () => {
+			const start = performance.now();
+
+			expect(Date.now()).to.equal(1000);
+			expect(new Date().getTime()).to.equal(1000);
+			expect(new Date(5).getTime()).to.equal(5);
+			expect(new Date()).to.be.an.instanceof(Date);
+			expect(new Date().constructor).to.equal(Date);
+			expect(Date.length).to.equal(7);
+			expect(Date.name).to.equal('Date');
+
+			clock.tick(250);
+
+			expect(Date.now()).to.equal(1250);
+			expect(performance.now() - start).to.equal(250);
+		});
+		it('will run only pending timers, not the ones they schedule', () => {
+			const callback = mocky.fn(() => {
+				setTimeout(callback, 10);
+			}).build();
+
+			setTimeout(callback, 10);
+			clock.runOnlyPending();
+
+			expect(callback.calls.length).to.equal(1);
+		});
+		it('will abort runAll on an endless chain of timers', () => {
+			const callback = () => setTimeout(callback, 10);
+			setTimeout(callback, 10);
+
+			expect(() => clock.runAll(50)).to.throw('Aborting after running 50 timers');
+		});
+		it('will restore the real timer globals', () => {
+			const fakeSetTimeout = setTimeout;
+			clock.restore();
+
+			expect(setTimeout).to.not.equal(fakeSetTimeout);
+			expect(Date.now()).to.be.greaterThan(1000);
+			expect(new Date().constructor).to.equal(Date);
+			expect(Object.getOwnPropertyDescriptor(Date.prototype, 'constructor').enumerable).to.equal(false);
+			expect(performance).to.not.have.own.property('now');
+		});
+		it('will resolve delayed async mocks after a virtual delay', async () => {
+			const fetchData = mocky.fn().async().delay(200).ret('data').build();
+			const retry = async () => {
+				const first = await fetchData();
+				await new Promise((resolve) => setTimeout(resolve, 1000));
+				return [first, await fetchData()];
+			};
+
+			let result = null;
+			retry().then((value) => {
+				result = value;
+			});
+
+			expect(fetchData.calls.length).to.equal(1);
+
+			await clock.tickAsync(200);
+			expect(fetchData.calls.length).to.equal(1);
+
+			await clock.tickAsync(1000);
+			expect(fetchData.calls.length).to.equal(2);
+			expect(result).to.equal(null);
+
+			await clock.runAllAsync();
+			expect(result).to.deep.equal(['data', 'data']);
+		});
+		it('will delay thrown errors and reset the delay', async () => {
+			const mock = mocky.fn().async().build();
+			mock.throw(new Error('late'));
+			mock.delay(50);
+
+			let error = null;
+			mock().catch((err) => {
+				error = err;
+			});
+
+			await clock.tickAsync(49);
+			expect(error).to.equal(null);
+
+			await clock.tickAsync(1);
+			expect(error.message).to.equal('late');
+
+			mock.reset();
+			mock.ret('now');
+			expect(await mock()).to.equal('now');
+		});
+	});
+
+	describe('accessor spy', () => {
+		it('will record reads of a getter and call through', () => {
+			const config = {
+				secret: 'abc',
+				get apiKey() {
+					return `key-${this.secret}`;
+				}
+			};
+
+			const spy = mocky.spy.get(config, 'apiKey');
+
+			expect(config.apiKey).to.equal('key-abc');
+			expect(config.apiKey).to.equal('key-abc');
+			expect(spy.calls.length).to.equal(2);
+
+			spy.ret('overridden');
+			expect(config.apiKey).to.equal('overridden');
+
+			spy.restore();
+		});
+		it('will record written values of a setter and call through', () => {
+			const req = {
+				_headers: {},
+				set headers(value) {
+					this._headers = value;
+				}
+			};
+
+			const spy = mocky.spy.set(req, 'headers');
+			req.headers = { a: 1 };
+			req.headers = { b: 2 };
+
+			expect(spy.calls).to.deep.equal([{ a: 1 }, { b: 2 }]);
+			expect(req._headers).to.deep.equal({ b: 2 });
+
+			spy.restore();
+		});
+		it('will spy on plain data properties', () => {
+			const config = { timeout: 100 };
+
+			const get = mocky.spy.get(config, 'timeout');
+			const set = mocky.spy.set(config, 'timeout');
+
+			config.timeout = 200;
+			expect(config.timeout).to.equal(200);
+			expect(get.calls.length).to.equal(1);
+			expect(set.calls).to.deep.equal([200]);
+
+			set.restore();
+			get.restore();
+
+			expect(Object.getOwnPropertyDescriptor(config, 'timeout')).to.deep.equal({
+				value: 100,
+				writable: true,
+				enumerable: true,
+				configurable: true
+			});
+		});
+		it('will restore getter and setter spies on one key in any order', () => {
+			const config = { timeout: 100 };
+			const get = mocky.spy.get(config, 'timeout');
+			const set = mocky.spy.set(config, 'timeout');
+
+			get.restore();
+			config.timeout = 200;
+			expect(config.timeout).to.equal(200);
+			expect(get.calls.length).to.equal(0);
+			expect(set.calls).to.deep.equal([200]);
+
+			set.restore();
+			get.restore();
+			config.timeout = 300;
+
+			expect(set.calls).to.deep.equal([200]);
+			expect(Object.getOwnPropertyDescriptor(config, 'timeout')).to.deep.equal({
+				value: 300,
+				writable: true,
+				enumerable: true,
+				configurable: true
+			});
+		});
+		it('will restore the exact original descriptor', () => {
+			const obj = {};
+			const getter = () => 'value';
+			Object.defineProperty(obj, 'hidden', { get: getter, enumerable: false, configurable: true });
+
+			const spy = mocky.spy.get(obj, 'hidden');
+			expect(obj.hidden).to.equal('value');
+			expect(Object.keys(obj)).to.deep.equal([]);
+
+			spy.restore();
+
+			expect(Object.getOwnPropertyDescriptor(obj, 'hidden')).to.deep.equal({
+				get: getter,
+				set: undefined,
+				enumerable: false,
+				configurable: true
+			});
+		});
+		it('will spy on inherited accessors and remove the own property on restore', () => {
+			class Request {
+				get path() {
+					return '/users';
+				}
+			}
+
+			const req = new Request();
+			const spy = mocky.spy.get(req, 'path');
+
+			expect(req.path).to.equal('/users');
+			expect(new Request().path).to.equal('/users');
+			expect(spy.calls.length).to.equal(1);
+
+			spy.restore();
+
+			expect(req).to.not.have.own.property('path');
+			expect(req.path).to.equal('/users');
+		});
+		it('will refuse missing, non-configurable and one-sided properties', () => {
+			const obj = {
+				get readOnly() {
+					return 1;
+				}
+			};
+			Object.defineProperty(obj, 'fixed', { value: 1, configurable: false });
+
+			expect(() => mocky.spy.get(obj, 'missing')).to.throw('property does not exist');
+			expect(() => mocky.spy.get(obj, 'fixed')).to.throw('property is not configurable');
+			expect(() => mocky.spy.set(obj, 'readOnly')).to.throw('property has no setter');
+		});
+		it('will restore accessor spies from a sandbox', () => {
+			const sandbox = mocky.sandbox();
+			const config = { get apiKey() { return 'real'; } };
+
+			sandbox.spy.get(config, 'apiKey').ret('fake');
+			expect(config.apiKey).to.equal('fake');
+			expect(() => sandbox.assertRestored()).to.throw(AssertionError, 'apiKey');
+
+			sandbox.restoreAll();
+			expect(config.apiKey).to.equal('real');
+		});
+	});
+
+	describe('async results', () => {
+		it('will not leave delayed rejections unhandled while the delay runs', async () => {
+			const mock = mocky.fn().async().delay(20).build();
+			const error = new Error('failed');
+			mock.rejects(error);
+
+			let caught;
+			const reasons = await collectUnhandledRejections(async () => {
+				const promise = mock();
+				await new Promise((resolve) => setTimeout(resolve, 5));
+				caught = await promise.catch((reason) => reason);
+			});
+
+			expect(reasons).to.deep.equal([]);
+			expect(caught).to.equal(error);
+		});
+		it('will not create a rejected promise for bodies that ignore ctx.ret', async () => {
+			const mock = mocky.fn(() => 'x').build();
+			mock.rejects(new Error('unused'));
+
+			const reasons = await collectUnhandledRejections(() => {
+				expect(mock()).to.equal('x');
+			});
+
+			expect(reasons).to.deep.equal([]);
+		});
+		it('will give bodies the same rejected promise on every read of ctx.ret', async () => {
+			const mock = mocky.fn((ctx) => ctx.ret === ctx.ret ? ctx.ret : null).build();
+			mock.rejects(new Error('read twice'));
+
+			await mock().then(() => {
+				throw new Error('should reject');
+			}, (error) => {
+				expect(error.message).to.equal('read twice');
+			});
+		});
+		it('will resolve and reject per call index', async () => {
+			const mock = mocky.fn().async().build();
+			mock.resolves('default');
+			mock.resolves('first', 0);
+			mock.rejects(new Error('second'), 1);
+
+			expect(await mock()).to.equal('first');
+
+			let error = null;
+			await mock().catch((err) => {
+				error = err;
+			});
+			expect(error.message).to.equal('second');
+
+			expect(await mock()).to.equal('default');
+		});
+		it('will return promises from non-async mocks', async () => {
+			const mock = mocky.fn().build();
+			mock.resolves('value');
+
+			const result = mock();
+
+			expect(result).to.be.a('promise');
+			expect(await result).to.equal('value');
+		});
+		it('will keep a call pending until its deferred is settled', async () => {
+			const save = mocky.fn().async().build();
+			const deferred = save.pending(0);
+			let saved = false;
+
+			const operation = save().then((value) => {
+				saved = value;
+			});
+
+			await Promise.resolve();
+			expect(saved).to.equal(false);
+			expect(save.deferreds[0]).to.equal(deferred);
+			expect(deferred.settled).to.equal(false);
+
+			deferred.resolve('done');
+			await operation;
+
+			expect(saved).to.equal('done');
+			expect(deferred.settled).to.equal(true);
+		});
+		it('will create a deferred per call without an index', async () => {
+			const fetch = mocky.fn().build();
+			const first = fetch.pending();
+
+			const results = Promise.allSettled([fetch(), fetch()]);
+
+			expect(fetch.deferreds[0]).to.equal(first);
+			expect(fetch.deferreds[1]).to.not.equal(first);
+
+			fetch.deferreds[1].resolve('second');
+			expect(first.settled).to.equal(false);
+			first.reject(new Error('offline'));
+
+			const [a, b] = await results;
+			expect(a.reason.message).to.equal('offline');
+			expect(b.value).to.equal('second');
+		});
+		it('will return the deferred of the next call from pending()', async () => {
+			const fetch = mocky.fn().build();
+			fetch();
+			fetch.pending();
+
+			const deferred = fetch.pending();
+			const promise = fetch();
+			deferred.resolve('done');
+
+			expect(await promise).to.equal('done');
+			expect(fetch.deferreds[1]).to.equal(deferred);
+		});
+		it('will pass the promise to a custom body as ctx.ret', async () => {
+			const mock = mocky.fn((ctx) => ctx.ret.then((value) => value * 2)).build();
+			mock.resolves(21);
+
+			expect(await mock()).to.equal(42);
+		});
+		it('will clear deferreds and async results on reset', () => {
+			const mock = mocky.fn().build();
+			mock.pending();
+			mock();
+
+			mock.reset();
+
+			expect(mock.deferreds).to.deep.equal([]);
+			expect(mock()).to.equal(undefined);
+		});
+	});
+
+	describe('call order', () => {
+		const createDb = () => mocky.obj({
+			begin: mocky.fn(),
+			query: mocky.fn().args('sql'),
+			commit: mocky.fn()
+		}).build();
+
+		it('will stamp calls with increasing global sequence numbers', () => {
+			const db = createDb();
+
+			db.begin();
+			db.query('SELECT 1');
+			db.query('SELECT 2');
+
+			const [begin] = db.begin.sequences;
+			const [first, second] = db.query.sequences;
+
+			expect(begin).to.be.below(first);
+			expect(first).to.be.below(second);
+		});
+		it('will pass when mocks were called in order', () => {
+			const db = createDb();
+
+			db.begin();
+			db.query('SELECT 1');
+			db.commit();
+			db.query('SELECT 2');
+
+			mocky.assertOrder(db.begin, db.query, db.commit);
+			mocky.assertOrder(db.begin, db.query, db.query);
+			mocky.assertOrder(db.commit, db.query.nth(1));
+		});
+		it('will fail with the interleaved call history', () => {
+			const db = createDb();
+			const other = mocky.fn().build();
+
+			db.begin();
+			other();
+			db.commit();
+			db.query('SELECT 1');
+
+			const [begin] = db.begin.sequences;
+			const [commit] = db.commit.sequences;
+			const [query] = db.query.sequences;
+
+			expect(() => mocky.assertOrder(db.begin, db.query, db.commit)).to.throw(AssertionError,
+				'Expected calls in order: begin, query, commit\n' +
+				'but commit was not called after query.\n\n' +
+				'Call history:\n' +
+				`  #${begin} begin []\n` +
+				`  #${commit} commit []\n` +
+				`  #${query} query { sql: 'SELECT 1' }`
+			);
+		});
+		it('will fail on call references that are out of order or missing', () => {
+			const db = createDb();
+
+			db.query('a');
+			db.begin();
+
+			expect(() => mocky.assertOrder(db.begin, db.query.nth(0))).to.throw(AssertionError, 'but query#0 was not called after begin.');
+			expect(() => mocky.assertOrder(db.commit)).to.throw(AssertionError, 'but commit was not called.');
+			expect(() => mocky.assertOrder(db.query, () => {})).to.throw(TypeError, 'Expected a function mock');
+		});
+		it('will list calls across mocks in history and drop them on reset', () => {
+			mocky.history.clear();
+			const db = createDb();
+
+			db.begin();
+			db.query('SELECT 1');
+
+			expect(mocky.history().map(({ name, call, args, mock }) => ({ name, call, args, mock }))).to.deep.equal([
+				{ name: 'begin', call: 0, args: [], mock: db.begin },
+				{ name: 'query', call: 0, args: { sql: 'SELECT 1' }, mock: db.query }
+			]);
+
+			db.query.reset();
+			expect(mocky.history().map((entry) => entry.name)).to.deep.equal(['begin']);
+
+			mocky.history.clear();
+			expect(mocky.history()).to.deep.equal([]);
+		});
+		it('will keep recording calls after history is cleared', async () => {
+			const db = createDb();
+
+			db.begin();
+			mocky.history.clear();
+			db.query('SELECT 1');
+
+			expect(mocky.history().map((entry) => entry.name)).to.deep.equal(['query']);
+			expect(db.begin.sequences).to.have.length(1);
+
+			const waiting = mocky.waitFor((entry) => entry.mock === db.begin, { timeout: 50 });
+			db.begin();
+
+			expect((await waiting).call).to.equal(1);
+		});
+	});
+
+	describe('strict', () => {
+		it('will throw on calls to a strict function with nothing configured', () => {
+			const mock = mocky.fn().args('id').name('findById').strict().build();
+
+			expect(() => mock(1)).to.throw(AssertionError,
+				'Unexpected call to findById with { id: 1 }: the strict mock has no ret, throw or implementation configured');
+			expect(mock.calls.length).to.equal(1);
+		});
+		it('will allow strict function calls with ret, throw, when or a body', () => {
+			const mock = mocky.fn().strict().build();
+			mock.ret('value', 0);
+			mock.when('a').ret('matched');
+
+			expect(mock()).to.equal('value');
+			expect(mock('a')).to.equal('matched');
+			expect(() => mock('b')).to.throw(AssertionError, 'Unexpected call');
+
+			mock.ret(undefined);
+			expect(mock('b')).to.equal(undefined);
+
+			const withBody = mocky.fn(() => 'body').strict().build();
+			expect(withBody()).to.equal('body');
+		});
+		it('will name nested strict functions by their path', () => {
+			const db = mocky.obj({
+				users: mocky.obj({
+					findByID: mocky.fn().strict()
+				})
+			}).name('db').build();
+
+			expect(() => db.users.findByID(1)).to.throw(AssertionError, 'Unexpected call to db.users.findByID with [ 1 ]');
+		});
+		it('will throw on reads and writes of undeclared object properties', () => {
+			const db = mocky.obj({
+				users: mocky.obj({
+					findById: mocky.fn()
+				}).strict(),
+				connected: true
+			}).name('db').strict().build();
+
+			expect(db.connected).to.equal(true);
+			db.connected = false;
+			expect(db.connected).to.equal(false);
+			db.users.findById(1);
+
+			expect(() => db.users.findByID).to.throw(AssertionError,
+				'Unexpected read of db.users.findByID: the property is not declared on the strict mock');
+			expect(() => {
+				db.extra = 1;
+			}).to.throw(AssertionError, 'Unexpected write to db.extra');
+		});
+		it('will keep reset, symbols and then usable on strict objects', async () => {
+			const api = mocky.obj({ get: mocky.fn() }).strict().build();
+
+			api.get();
+			api.reset();
+
+			expect(api.get.calls.length).to.equal(0);
+			expect(api[Symbol.iterator]).to.equal(undefined);
+			expect(await Promise.resolve(api)).to.equal(api);
+		});
+		it('will let serialization and matcher probes through strict mocks', () => {
+			const api = mocky.obj({ get: mocky.fn(), url: '/users' }).strict().build();
+
+			expect(JSON.stringify(api)).to.equal('{"url":"/users"}');
+			expect(api.asymmetricMatch).to.equal(undefined);
+			expect(api.$$typeof).to.equal(undefined);
+			expect(() => api.toJSONString).to.throw(AssertionError, 'Unexpected read');
+		});
+		it('will throw on undeclared members of strict class instances', () => {
+			const Logger = mocky.cls({
+				level: 'info',
+				info: mocky.fn().args('message')
+			}).name('Logger').strict().build();
+
+			const logger = new Logger();
+			logger.info('ready');
+			logger.level = 'debug';
+
+			expect(logger).to.be.an.instanceof(Logger);
+			expect(Logger.inst(0).level).to.equal('debug');
+			expect(() => logger.warn('x')).to.throw(AssertionError, 'Unexpected read of Logger.warn');
+			expect(() => {
+				logger.extra = true;
+			}).to.throw(AssertionError, 'Unexpected write to Logger.extra');
+		});
+		it('will not apply strictness to instances of subclasses', () => {
+			const Base = mocky.cls({ run: mocky.fn() }).strict().build();
+
+			class Child extends Base {
+				constructor() {
+					super();
+					this.extra = true;
+				}
+			}
+
+			const child = new Child();
+			child.run();
+			child.later = 1;
+
+			expect(child.extra).to.equal(true);
+			expect(child.later).to.equal(1);
+			expect(child.missing).to.equal(undefined);
+			expect(child.run.calls.length).to.equal(1);
+			expect(() => new Base().missing).to.throw(AssertionError, 'Unexpected read');
+		});
+	});
+
+	describe('auto', () => {
+		const TOKEN = Symbol('token');
+
+		class BaseService {
+			describe() {
+				return 'base';
+			}
+			ping() {
+				return 'pong';
+			}
+		}
+
+		class UserService extends BaseService {
+			constructor(db) {
+				super();
+				this.db = db;
+			}
+			static create() {
+				return new UserService();
+			}
+			static async connect() {}
+			get ready() {
+				return true;
+			}
+			find(id) {
+				return this.db.find(id);
+			}
+			async save(user) {
+				return user;
+			}
+			[TOKEN]() {
+				return 'real';
+			}
+			describe() {
+				return 'user';
+			}
+		}
+
+		it('will build a class mock from a real class', async () => {
+			const Mock = mocky.auto(UserService).build();
+			const service = new Mock('db');
+
+			expect(Mock.name).to.equal('UserService');
+			expect(Mock.inst(0).constructor.calls[0]).to.deep.equal(['db']);
+
+			service.find.ret({ id: 1 });
+			expect(service.find(1)).to.deep.equal({ id: 1 });
+			expect(service.ping()).to.equal(undefined);
+			expect(service.describe.calls).to.deep.equal([]);
+			expect(service[TOKEN]).to.be.a('function');
+			expect(service.ready).to.equal(undefined);
+			expect(service.save()).to.be.a('promise');
+			expect(service.find()).to.not.be.a('promise');
+		});
+		it('will mark static methods and keep async statics async', () => {
+			const Mock = mocky.auto(UserService).build();
+
+			expect(Mock.create).to.be.a('function');
+			expect(Mock.connect()).to.be.a('promise');
+			expect(new Mock().create).to.equal(undefined);
+			expect(Mock.create.name).to.equal('UserService.create');
+		});
+		it('will replace members with overrides', () => {
+			const Mock = mocky.auto(UserService, {
+				find: mocky.fn().args('id').ret('overridden'),
+				extra: 'added'
+			}).build();
+			const service = new Mock();
+
+			expect(service.find(7)).to.equal('overridden');
+			expect(service.find.calls[0]).to.deep.equal({ id: 7 });
+			expect(service.extra).to.equal('added');
+		});
+		it('will build an object mock with nested objects and inherited methods', () => {
+			const real = Object.assign(Object.create({ inherited() {} }), {
+				version: 2,
+				users: {
+					findById: async (id) => ({ id })
+				},
+				close() {}
+			});
+			real.self = real;
+
+			const mock = mocky.auto(real, { close: mocky.fn().ret('closed') }).build();
+
+			expect(mock.version).to.equal(2);
+			expect(mock.users.findById(1)).to.be.a('promise');
+			expect(mock.users.findById.calls[0]).to.deep.equal([1]);
+			expect(mock.inherited).to.be.a('function');
+			expect(mock.close()).to.equal('closed');
+			expect(mock.self).to.equal(real);
+		});
+		it('will build getters and setters of objects as accessor mocks', () => {
+			let reads = 0;
+			const real = {
+				get token() {
+					return ++reads;
+				},
+				set level(value) {},
+				settings: {
+					get theme() {
+						return 'dark';
+					}
+				}
+			};
+
+			const mock = mocky.auto(real).build();
+			mock.accessor('token').get.ret('fake');
+			mock.level = 'debug';
+
+			expect(mock.token).to.equal('fake');
+			expect(reads).to.equal(0);
+			expect(mock.accessor('token').get.calls.length).to.equal(1);
+			expect(mock.accessor('level').set.calls).to.deep.equal([{ value: 'debug' }]);
+			expect(mock.settings.theme).to.equal(undefined);
+			expect(mock.settings.accessor('theme').get.calls.length).to.equal(1);
+			expect(() => mock.accessor('settings')).to.throw(TypeError, 'settings is not a getter or setter');
+
+			mock.reset();
+			expect(mock.accessor('token').get.calls.length).to.equal(0);
+			expect(mock.token).to.equal(undefined);
+		});
+		it('will mock a plain function and reject other values', () => {
+			expect(mocky.auto(async () => {}).build()()).to.be.a('promise');
+			expect(() => mocky.auto(42)).to.throw(TypeError, 'Cannot auto-mock 42');
+		});
+	});
+
+	describe('verified', () => {
+		class Mailer {
+			static create(config) {}
+			send(to, subject, body = '') {}
+			log(...lines) {}
+			get sender() {
+				return 'noreply';
+			}
+		}
+
+		it('will build a class mock whose members exist on the real class', () => {
+			const Mock = mocky.cls.verified(Mailer, {
+				constructor: mocky.fn(),
+				create: mocky.fn().args('config').static(),
+				send: mocky.fn().args('to', 'subject', 'body'),
+				log: mocky.fn().args('a', 'b', 'c', 'd'),
+				sender: 'mock'
+			}).build();
+
+			const mailer = new Mock();
+			mailer.send('a@example.com', 'Hi');
+
+			expect(Mock.name).to.equal('Mailer');
+			expect(mailer.send.calls[0]).to.deep.equal({ to: 'a@example.com', subject: 'Hi', body: undefined });
+			expect(mailer.sender).to.equal('mock');
+		});
+		it('will fail at build time on members missing from the real class', () => {
+			expect(() => mocky.cls.verified(Mailer, { sendMail: mocky.fn() }))
+				.to.throw(AssertionError, 'Mailer.sendMail does not exist on the real class');
+		});
+		it('will fail at build time when static-ness differs', () => {
+			expect(() => mocky.cls.verified(Mailer, { create: mocky.fn() }))
+				.to.throw(AssertionError, 'Mailer.create is static on the real class but the mock is not marked .static()');
+			expect(() => mocky.cls.verified(Mailer, { send: mocky.fn().static() }))
+				.to.throw(AssertionError, 'Mailer.send is marked .static() but is an instance member of the real class');
+		});
+		it('will fail at build time when .args() declares too many parameters', () => {
+			expect(() => mocky.cls.verified(Mailer, {
+				send: mocky.fn().args('to', 'subject', 'body', 'extra')
+			})).to.throw(AssertionError, 'Mailer.send declares 4 args but the real function accepts at most 3');
+		});
+		it('will fail at build time when a function mocks a non-function', () => {
+			expect(() => mocky.cls.verified(Mailer, { sender: mocky.fn() }))
+				.to.throw(AssertionError, 'Mailer.sender is mocked as a function but is not a function on the real target');
+		});
+		it('will fail at call time on more arguments than the real signature allows', () => {
+			const Mock = mocky.cls.verified(Mailer, {
+				send: mocky.fn(),
+				create: mocky.fn().static()
+			}).build();
+			const mailer = new Mock();
+
+			mailer.send('a', 'b', 'c');
+			expect(() => mailer.send('a', 'b', 'c', 'd'))
+				.to.throw(AssertionError, 'Mailer.send was called with 4 arguments but the real function accepts at most 3');
+			expect(mailer.send.calls.length).to.equal(1);
+
+			expect(() => Mock.create({}, 'extra')).to.throw(AssertionError, 'accepts at most 1');
+		});
+		it('will verify object mocks against a real object', () => {
+			const real = {
+				timeout: 100,
+				fetch: (url, options) => null
+			};
+
+			const api = mocky.obj.verified(real, {
+				fetch: mocky.fn().args('url'),
+				timeout: 5
+			}).build();
+
+			api.fetch('/users', {});
+			expect(api.fetch.calls[0]).to.deep.equal({ url: '/users' });
+			expect(() => api.fetch('/users', {}, 'extra')).to.throw(AssertionError, 'fetch was called with 3 arguments');
+			expect(() => mocky.obj.verified(real, { fetchAll: mocky.fn() }))
+				.to.throw(AssertionError, 'fetchAll does not exist on the real object');
+		});
+		it('will verify a standalone function mock with .verify()', () => {
+			const mock = mocky.fn().verify((a) => a).build();
+
+			mock(1);
+			expect(() => mock(1, 2)).to.throw(AssertionError, 'accepts at most 1');
+		});
+		it('will leave a builder shared with verified mocks unverified', () => {
+			const shared = mocky.fn();
+			const Mock = mocky.cls.verified(Mailer, { create: shared.static() }).build();
+			const api = mocky.obj.verified({ fetch: (url) => null }, { fetch: shared }).build();
+
+			expect(() => Mock.create({}, 'extra')).to.throw(AssertionError, 'accepts at most 1');
+			expect(() => api.fetch('/users', 'extra')).to.throw(AssertionError, 'accepts at most 1');
+			expect(shared.build()(1, 2, 3)).to.equal(undefined);
+		});
+		it('will treat functions reading arguments as variadic', () => {
+			const mock = mocky.fn().verify(function log() {
+				return Array.from(arguments).join(' ');
+			}).build();
+
+			mock('a', 'b', 'c');
+			expect(mock.calls.length).to.equal(1);
+		});
+		it('will ignore comments in parameter lists', () => {
+			const mock = mocky.fn().verify(function send(to /* , cc */, subject // , body
+			) {
+				return [to, subject];
+			}).build();
+
+			mock('a', 'b');
+			expect(() => mock('a', 'b', 'c')).to.throw(AssertionError, 'accepts at most 2');
+		});
+	});
+
+	describe('clone', () => {
+		it('will snapshot Maps, Sets, RegExps and binary data', () => {
+			const mock = mocky.fn().build();
+			const map = new Map([['key', { count: 1 }]]);
+			const set = new Set([[1, 2]]);
+			const regex = /a+/gi;
+			const buffer = Buffer.from('abc');
+			const bytes = new Uint8Array([1, 2, 3]);
+
+			mock(map, set, regex, buffer, bytes);
+
+			map.get('key').count = 2;
+			map.set('other', 1);
+			Array.from(set)[0].push(3);
+			buffer[0] = 0;
+			bytes[0] = 0;
+
+			const [clonedMap, clonedSet, clonedRegex, clonedBuffer, clonedBytes] = mock.calls[0];
+
+			expect(clonedMap).to.deep.equal(new Map([['key', { count: 1 }]]));
+			expect(Array.from(clonedSet)).to.deep.equal([[1, 2]]);
+			expect(clonedRegex).to.not.equal(regex);
+			expect(clonedRegex.flags).to.equal('gi');
+			expect(Buffer.isBuffer(clonedBuffer)).to.equal(true);
+			expect(clonedBuffer.toString()).to.equal('abc');
+			expect(clonedBytes).to.be.an.instanceof(Uint8Array);
+			expect(Array.from(clonedBytes)).to.deep.equal([1, 2, 3]);
+		});
+		it('will snapshot class instances and errors preserving their prototype', () => {
+			class Point {
+				constructor(x) {
+					this.x = x;
+				}
+				double() {
+					return this.x * 2;
+				}
+			}
+
+			const mock = mocky.fn().args('point', 'error').build();
+			const point = new Point(2);
+			const error = new TypeError('bad');
+
+			mock(point, error);
+			point.x = 10;
+
+			expect(mock.calls[0].point).to.be.an.instanceof(Point);
+			expect(mock.calls[0].point.double()).to.equal(4);
+			expect(mock.calls[0].error).to.be.an.instanceof(TypeError);
+			expect(mock.calls[0].error).to.not.equal(error);
+			expect(mock.calls[0].error.message).to.equal('bad');
+		});
+		it('will keep instances with private fields and class mock instances by reference', () => {
+			class Counter {
+				#count = 0;
+				increment() {
+					return ++this.#count;
+				}
+			}
+			class Session extends Counter {}
+
+			const MockStore = mocky.create(mocky.class({ get: mocky.fn() }));
+			const mock = mocky.fn().args('counter', 'session', 'store').build();
+			const counter = new Counter();
+			const session = new Session();
+			const store = new MockStore();
+
+			mock(counter, session, store);
+
+			expect(mock.calls[0].counter).to.equal(counter);
+			expect(mock.calls[0].session).to.equal(session);
+			expect(mock.calls[0].session.increment()).to.equal(1);
+			expect(mock.calls[0].store).to.equal(store);
+			mock.assertCalledWith(counter, session, store);
+		});
+		it('will copy instances with # only in strings or comments', () => {
+			class Swatch {
+				// Defaults to #fff
+				constructor() {
+					this.color = '#fff';
+					this.label = `#${'top'}`;
+				}
+			}
+
+			const mock = mocky.fn().build();
+			const swatch = new Swatch();
+
+			mock(swatch);
+			swatch.color = 'red';
+
+			expect(mock.calls[0][0]).to.not.equal(swatch);
+			expect(mock.calls[0][0]).to.be.an.instanceof(Swatch);
+			expect(mock.calls[0][0].color).to.equal('#fff');
+		});
+		it('will handle circular references', () => {
+			const mock = mocky.fn().args('node').build();
+			const node = { name: 'a', children: [] };
+			node.children.push({ name: 'b', parent: node });
+			node.self = node;
+
+			mock(node);
+
+			const clone = mock.calls[0].node;
+			expect(clone).to.not.equal(node);
+			expect(clone.self).to.equal(clone);
+			expect(clone.children[0].parent).to.equal(clone);
+		});
+		it('will keep promises and functions by reference', () => {
+			const mock = mocky.fn().build();
+			const promise = Promise.resolve();
+			const fn = () => {};
+
+			mock(promise, fn);
+
+			expect(mock.calls[0][0]).to.equal(promise);
+			expect(mock.calls[0][1]).to.equal(fn);
+		});
+		it('will match cloned arguments in when and assertions', () => {
+			class Query {
+				constructor(sql) {
+					this.sql = sql;
+				}
+			}
+
+			const mock = mocky.fn().args('query', 'ids').build();
+			mock.when(new Query('SELECT'), new Set([1])).ret('matched');
+
+			expect(mock(new Query('SELECT'), new Set([1]))).to.equal('matched');
+			mock.assertCalledWith(new Query('SELECT'), new Set([1]));
+			expect(() => mock.assertCalledWith({ sql: 'SELECT' }, new Set([1]))).to.throw(AssertionError);
+		});
+		it('will match maps with object keys after cloning', () => {
+			const mock = mocky.fn().args('lookup').build();
+			const key = { id: 1 };
+			const lookup = new Map([[key, 'one']]);
+
+			mock.when(lookup).ret('matched');
+
+			expect(mock(lookup)).to.equal('matched');
+			mock.assertCalledWith(lookup);
+			mock.assertCalledWith(new Map([[{ id: 1 }, 'one']]));
+			expect(() => mock.assertCalledWith(new Map([[{ id: 1 }, 'two']]))).to.throw(AssertionError);
+			expect(() => mock.assertCalledWith(new Map([[{ id: 2 }, 'one']]))).to.throw(AssertionError);
+		});
+		it('will match instances with private state in when by identity', () => {
+			class Money {
+				#cents;
+				constructor(cents) {
+					this.#cents = cents;
+				}
+				get cents() {
+					return this.#cents;
+				}
+			}
+
+			const hundred = new Money(100);
+			const mock = mocky.fn().args('amount').build();
+			mock.when(hundred).ret('hundred');
+
+			expect(mock(new Money(1))).to.equal(undefined);
+			expect(mock(new Money(100))).to.equal(undefined);
+			expect(mock(hundred)).to.equal('hundred');
+		});
+		it('will assert on instances without visible state by identity', () => {
+			class Money {
+				#cents;
+				constructor(cents) {
+					this.#cents = cents;
+				}
+			}
+
+			const mock = mocky.fn().build();
+			const five = new Money(5);
+			const headers = new Headers({ accept: 'json' });
+
+			mock(five, headers);
+
+			mock.assertCalledWith(five, headers);
+			expect(() => mock.assertCalledWith(new Money(999), headers)).to.throw(AssertionError);
+			expect(() => mock.assertCalledWith(five, new Headers({ accept: 'json' }))).to.throw(AssertionError);
+		});
+		it('will copy only the top level with the shallow strategy', () => {
+			const mock = mocky.fn().args('data').clone('shallow').build();
+			const data = { list: [1], name: 'a' };
+
+			mock(data);
+			data.name = 'b';
+			data.list.push(2);
+
+			expect(mock.calls[0].data.name).to.equal('a');
+			expect(mock.calls[0].data.list).to.equal(data.list);
+		});
+		it('will store arguments by reference with the none strategy', () => {
+			const mock = mocky.fn().clone('none').build();
+			const data = { value: 1 };
+
+			mock(data);
+
+			expect(mock.calls[0][0]).to.equal(data);
+		});
+		it('will use a custom clone function per argument', () => {
+			const mock = mocky.fn().args('a', 'b').clone((value) => JSON.stringify(value)).build();
+
+			mock({ x: 1 }, [2]);
+
+			expect(mock.calls[0]).to.deep.equal({ a: '{"x":1}', b: '[2]' });
+		});
+		it('will reject unknown clone strategies', () => {
+			expect(() => mocky.fn().clone('structured')).to.throw(TypeError, 'Unknown clone strategy \'structured\'');
+		});
+	});
+
+	describe('invocations', () => {
+		it('will record args, rawArgs, this and the returned value', () => {
+			const mock = mocky.fn((ctx) => ctx.args.x * 2).args('x').build();
+			const receiver = { mock };
+
+			receiver.mock(2, 'extra');
+
+			expect(mock.invocations).to.deep.equal([{
+				args: { x: 2 },
+				rawArgs: [2, 'extra'],
+				this: receiver,
+				returned: 4
+			}]);
+			expect(mock.invocations[0].args).to.equal(mock.calls[0]);
+			expect(mock.calls).to.deep.equal([{ x: 2 }]);
+		});
+		it('will record thrown errors', () => {
+			const mock = mocky.fn().build();
+			const error = new Error('boom');
+			mock.throw(error);
+
+			expect(() => mock()).to.throw('boom');
+			expect(mock.invocations[0].threw).to.equal(error);
+			expect(mock.invocations[0]).to.not.have.property('returned');
+		});
+		it('will record resolved and rejected values of async mocks', async () => {
+			const mock = mocky.fn().async().build();
+			mock.ret('value', 0);
+			mock.throw(new Error('failed'), 1);
+
+			await mock();
+			await mock().catch(() => {});
+
+			expect(mock.invocations[0].resolved).to.equal('value');
+			expect(mock.invocations[1].rejected.message).to.equal('failed');
+			expect(mock.invocations[1]).to.not.have.property('threw');
+		});
+		it('will record settled results of promises returned by plain mocks', async () => {
+			const mock = mocky.fn().build();
+			const deferred = mock.pending();
+
+			const promise = mock();
+			expect(mock.invocations[0].returned).to.equal(promise);
+			expect(mock.invocations[0]).to.not.have.property('resolved');
+
+			deferred.resolve('done');
+			await promise;
+
+			expect(mock.invocations[0].resolved).to.equal('done');
+		});
+		it('will return the configured promise itself from ret()', async () => {
+			const promise = Promise.resolve('done');
+			promise.cancel = () => {};
+			const mock = mocky.fn().ret(promise).build();
+
+			const returned = mock();
+			expect(returned).to.equal(promise);
+			expect(returned.cancel).to.equal(promise.cancel);
+			expect(mock.invocations[0].returned).to.equal(promise);
+
+			await returned;
+			expect(mock.invocations[0].resolved).to.equal('done');
+		});
+		it('will not start lazy thenables returned by spies', async () => {
+			let runs = 0;
+			const query = { then: (resolve) => resolve(++runs) };
+			const db = { query: () => query };
+			const spy = mocky.spy(db, 'query');
+
+			expect(db.query()).to.equal(query);
+			await Promise.resolve();
+			expect(runs).to.equal(0);
+			expect(spy.invocations[0]).to.not.have.property('resolved');
+
+			expect(await db.query()).to.equal(1);
+			spy.restore();
+		});
+		it('will keep unhandled rejections of spied promises unhandled', async () => {
+			const error = new Error('lost');
+			const api = { load: () => Promise.reject(error) };
+			const spy = mocky.spy(api, 'load');
+
+			const reasons = await collectUnhandledRejections(() => {
+				api.load();
+			});
+			spy.restore();
+
+			expect(reasons).to.deep.equal([error]);
+			expect(spy.invocations[0].rejected).to.equal(error);
+		});
+		it('will record the real instance for class members and the receiver for spies', () => {
+			const Logger = mocky.cls({ info: mocky.fn().args('message') }).build();
+			const logger = new Logger();
+			logger.info('ready');
+
+			const obj = { value: 1, get: function() { return this.value; } };
+			const spy = mocky.spy(obj, 'get');
+			obj.get();
+
+			expect(Logger.inst(0).info.invocations[0].this).to.equal(logger);
+			expect(spy.invocations[0].this).to.equal(obj);
+			expect(spy.invocations[0].returned).to.equal(1);
+
+			spy.restore();
+		});
+		it('will clear invocations on reset', () => {
+			const mock = mocky.fn().build();
+			mock();
+
+			mock.reset();
+
+			expect(mock.invocations).to.deep.equal([]);
+		});
+	});
+
+	describe('extends', () => {
+		class Store {
+			constructor(name) {
+				this.name = name;
+				this.opened = true;
+			}
+			describe() {
+				return `store ${this.name}`;
+			}
+			get(key) {
+				return `real-${key}`;
+			}
+		}
+
+		it('will create instances of the base class', () => {
+			const Mock = mocky.cls({ get: mocky.fn().args('key') }).extends(Store).build();
+			const store = new Mock('users');
+
+			expect(store).to.be.instanceOf(Mock);
+			expect(store).to.be.instanceOf(Store);
+			expect(Mock.instCount).to.equal(1);
+		});
+		it('will not run the base constructor unless asked to', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).extends(Store).build();
+			const Constructed = mocky.cls({ get: mocky.fn() }).extends(Store, { construct: true }).build();
+
+			expect(new Mock('users').opened).to.equal(undefined);
+			expect(new Constructed('users').opened).to.equal(true);
+			expect(new Constructed('users').describe()).to.equal('store users');
+		});
+		it('will fall through to the base class for members that are not mocked', () => {
+			const Mock = mocky.cls({ get: mocky.fn().ret('mocked') }).extends(Store, { construct: true }).build();
+			const store = new Mock('users');
+
+			expect(store.get('id')).to.equal('mocked');
+			expect(store.describe()).to.equal('store users');
+		});
+		it('will inherit static members of the base class', () => {
+			class Base {
+				static create() {
+					return 'created';
+				}
+			}
+			const Mock = mocky.cls({}).extends(Base).build();
+
+			expect(Mock.create()).to.equal('created');
+		});
+		it('will reach the mocked parent from super calls in subclasses', () => {
+			const Mock = mocky.cls({ get: mocky.fn().args('key') }).extends(Store).build();
+
+			class Cached extends Mock {
+				get(key) {
+					return `cached-${super.get(key)}`;
+				}
+			}
+
+			Cached.inst().get.ret('mocked');
+
+			expect(new Cached().get('id')).to.equal('cached-mocked');
+			expect(Cached.inst().get.calls).to.deep.equal([{ key: 'id' }]);
+		});
+		it('will track instances of subclasses separately', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+			class Child extends Mock {}
+
+			new Mock();
+			new Child();
+			new Child().get();
+
+			expect(Mock.instCount).to.equal(1);
+			expect(Child.instCount).to.equal(2);
+			expect(Mock.inst(0).get.calls).to.have.length(0);
+			expect(Child.inst(1).get.calls).to.have.length(1);
+		});
+		it('will reset subclass tracking from the mock', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+			class Child extends Mock {}
+			new Child();
+
+			Child.reset();
+			expect(Child.instCount).to.equal(0);
+
+			new Child();
+			Mock.reset();
+			expect(Child.instCount).to.equal(0);
+		});
+		it('will expose the description and the real instance to bodies', () => {
+			let context;
+			const Mock = mocky.cls({
+				get: mocky.fn((ctx) => {
+					context = ctx;
+				})
+			}).extends(Store).build();
+			const store = new Mock();
+
+			store.get();
+
+			expect(context.self).to.equal(Mock.inst());
+			expect(context.instance).to.equal(store);
+		});
+		it('will reject base classes that are not functions', () => {
+			expect(() => mocky.cls({}).extends({})).to.throw(TypeError);
+		});
+	});
+
+	describe('statics and accessors', () => {
+		it('will define static plain values and restore them on reset', () => {
+			const WebSocket = mocky.cls({ send: mocky.fn() }).statics({
+				OPEN: 1,
+				CLOSED: 3,
+				defaults: { retries: [1, 2] }
+			}).build();
+
+			expect(WebSocket.OPEN).to.equal(1);
+			expect(WebSocket.defaults).to.deep.equal({ retries: [1, 2] });
+			expect(new WebSocket().OPEN).to.equal(undefined);
+
+			WebSocket.OPEN = 5;
+			WebSocket.defaults.retries.push(3);
+			WebSocket.reset();
+
+			expect(WebSocket.OPEN).to.equal(1);
+			expect(WebSocket.defaults).to.deep.equal({ retries: [1, 2] });
+		});
+		it('will define static nested object mocks', () => {
+			const Client = mocky.cls({}).statics({
+				pool: mocky.obj({ acquire: mocky.fn().args('id'), size: 2 })
+			}).name('Client').build();
+
+			Client.pool.acquire.ret('connection');
+			expect(Client.pool.acquire(1)).to.equal('connection');
+			expect(Client.pool.acquire.calls).to.deep.equal([{ id: 1 }]);
+			expect(Client.pool.acquire.name).to.equal('Client.pool.acquire');
+
+			Client.reset();
+			expect(Client.pool.acquire.calls).to.deep.equal([]);
+			expect(Client.pool.acquire(1)).to.equal(undefined);
+		});
+		it('will track getter reads on instances', () => {
+			const File = mocky.cls({
+				size: mocky.getter().ret(10)
+			}).build();
+			const first = new File();
+			const second = new File();
+
+			File.inst(1).size.get.ret(20);
+
+			expect(first.size).to.equal(10);
+			expect(second.size).to.equal(20);
+			expect(File.inst(0).size.get.calls).to.have.length(1);
+			expect(File.inst(0).size.get.invocations[0].this).to.equal(first);
+		});
+		it('will track setter writes and support getter and setter pairs', () => {
+			const Input = mocky.cls({
+				_value: '',
+				value: mocky.getter((ctx) => ctx.instance._value).setter((ctx) => {
+					ctx.instance._value = ctx.args.value;
+				})
+			}).build();
+			const input = new Input();
+
+			input.value = 'hello';
+
+			expect(input.value).to.equal('hello');
+			expect(Input.inst().value.set.calls).to.deep.equal([{ value: 'hello' }]);
+			expect(Input.inst().value.get.calls).to.have.length(1);
+		});
+		it('will keep getter-only and setter-only members one-sided', () => {
+			const Mock = mocky.cls({
+				id: mocky.getter().ret(1),
+				token: mocky.setter()
+			}).build();
+			const inst = new Mock();
+
+			expect(() => {
+				'use strict';
+				inst.id = 2;
+			}).to.throw(TypeError);
+			inst.token = 'secret';
+
+			expect(inst.token).to.equal(undefined);
+			expect(Mock.inst().token.set.calls).to.deep.equal([{ value: 'secret' }]);
+		});
+		it('will support static accessors configured through Mock.accessor()', () => {
+			const Config = mocky.cls({
+				env: mocky.getter().ret('test').static()
+			}).statics({
+				level: mocky.getter().setter()
+			}).name('Config').build();
+
+			expect(Config.env).to.equal('test');
+			Config.level = 'debug';
+
+			expect(Config.accessor('env').get.calls).to.have.length(1);
+			expect(Config.accessor('level').set.calls).to.deep.equal([{ value: 'debug' }]);
+			expect(() => Config.accessor('missing')).to.throw(TypeError, 'Config.missing is not a static getter or setter');
+
+			Config.accessor('env').get.ret('prod');
+			expect(Config.env).to.equal('prod');
+
+			Config.reset();
+			expect(Config.env).to.equal('test');
+			expect(Config.accessor('env').get.calls).to.have.length(1);
+			expect(Config.accessor('level').set.calls).to.deep.equal([]);
+		});
+		it('will reset instance accessors with the class', () => {
+			const File = mocky.cls({ size: mocky.getter() }).build();
+
+			File.inst().size.get.ret(5);
+			File.reset();
+
+			expect(new File().size).to.equal(undefined);
+		});
+		it('will auto mock accessors and static values', () => {
+			class Socket {
+				static OPEN = 1;
+				static get version() {
+					return 2;
+				}
+				get connected() {
+					return true;
+				}
+				set timeout(value) {}
+			}
+
+			const Mock = mocky.auto(Socket).build();
+			const socket = new Mock();
+			socket.timeout = 100;
+
+			expect(Mock.OPEN).to.equal(1);
+			expect(Mock.version).to.equal(undefined);
+			expect(socket.connected).to.equal(undefined);
+			expect(Mock.inst().connected.get.calls).to.have.length(1);
+			expect(Mock.inst().timeout.set.calls).to.deep.equal([{ value: 100 }]);
+		});
+	});
+
+	describe('every instance', () => {
+		it('will apply Mock.every() configuration to instances created afterwards', () => {
+			const Connection = mocky.cls({
+				query: mocky.fn().args('sql'),
+				close: mocky.fn()
+			}).build();
+
+			Connection.every().query.ret('rows');
+			Connection.every().close.throw(new Error('closed'));
+
+			const pool = [new Connection(), new Connection(), new Connection()];
+
+			expect(pool.map((connection) => connection.query('select'))).to.deep.equal(['rows', 'rows', 'rows']);
+			expect(() => pool[2].close()).to.throw('closed');
+			expect(Connection.inst(1).query.calls).to.deep.equal([{ sql: 'select' }]);
+			expect(Connection.every().query.calls).to.deep.equal([]);
+		});
+		it('will copy when rules, bodies and plain values from the template', () => {
+			const Logger = mocky.cls({
+				level: 'info',
+				log: mocky.fn().args('message'),
+				transport: mocky.obj({ write: mocky.fn() })
+			}).build();
+
+			Logger.every().level = 'debug';
+			Logger.every().log.when('ping').call(() => 'pong');
+			Logger.every().transport.write.ret(true);
+
+			const logger = new Logger();
+
+			expect(logger.level).to.equal('debug');
+			expect(logger.log('ping')).to.equal('pong');
+			expect(logger.log('other')).to.equal(undefined);
+			expect(logger.transport.write()).to.equal(true);
+		});
+		it('will let Mock.inst(n) override the template for one instance', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+
+			Mock.every().get.ret('shared');
+			Mock.inst(1).get.ret('special');
+
+			expect(new Mock().get()).to.equal('shared');
+			expect(new Mock().get()).to.equal('special');
+		});
+		it('will keep per-instance configuration independent of the template', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+
+			Mock.every().get.ret('shared');
+			const first = new Mock();
+			Mock.inst(0).get.ret('changed');
+
+			expect(first.get()).to.equal('changed');
+			expect(new Mock().get()).to.equal('shared');
+		});
+		it('will clear the template on reset', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+
+			Mock.every().get.ret('shared');
+			Mock.reset();
+
+			expect(new Mock().get()).to.equal(undefined);
+		});
+		it('will find instances by constructor arguments with Mock.instWhere()', () => {
+			const Client = mocky.cls({ send: mocky.fn() }).build();
+
+			new Client('db1', { retries: 1 });
+			new Client('db2');
+			new Client('db2').send();
+
+			expect(Client.instWhere((host) => host === 'db2')).to.equal(Client.inst(1));
+			expect(Client.instWhere((host, config) => config?.retries === 1)).to.equal(Client.inst(0));
+			expect(Client.instWhere((host) => host === 'db3')).to.equal(undefined);
+		});
+		it('will list live descriptions with Mock.instances', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+
+			Mock.inst(3).get.ret('configured ahead');
+			expect(Mock.instances).to.deep.equal([]);
+
+			new Mock();
+			new Mock();
+
+			expect(Mock.instances).to.have.length(2);
+			expect(Mock.instances[1]).to.equal(Mock.inst(1));
+		});
+	});
+
+	describe('class calls', () => {
+		it('will list calls to a member across instances with their instance index', () => {
+			const Logger = mocky.cls({ info: mocky.fn().args('message') }).build();
+			const first = new Logger();
+			const second = new Logger();
+
+			second.info('ready');
+			first.info('starting');
+			second.info('done');
+
+			expect(Logger.calls('info')).to.deep.equal([
+				{ inst: 0, args: { message: 'starting' } },
+				{ inst: 1, args: { message: 'ready' } },
+				{ inst: 1, args: { message: 'done' } }
+			]);
+			expect(Logger.calls('info').some((call) => call.args.message === 'ready')).to.equal(true);
+		});
+		it('will return no calls before any instance exists', () => {
+			const Logger = mocky.cls({ info: mocky.fn() }).build();
+
+			expect(Logger.calls('info')).to.deep.equal([]);
+		});
+		it('will reject keys that are not instance function members', () => {
+			const Logger = mocky.cls({
+				level: 'info',
+				create: mocky.fn().static()
+			}).name('Logger').build();
+
+			expect(() => Logger.calls('level')).to.throw(TypeError, 'Logger.level is not an instance function member');
+			expect(() => Logger.calls('create')).to.throw(TypeError);
+			expect(() => Logger.calls('missing')).to.throw(TypeError);
+		});
+		it('will record constructor arguments without a constructor member', () => {
+			const Client = mocky.cls({ send: mocky.fn() }).build();
+			const config = { retries: 1 };
+
+			new Client('db1', config);
+			new Client();
+			config.retries = 5;
+
+			expect(Client.constructorCalls).to.deep.equal([['db1', { retries: 1 }], []]);
+		});
+		it('will clear aggregated calls on reset', () => {
+			const Logger = mocky.cls({ info: mocky.fn() }).build();
+			new Logger().info();
+
+			Logger.reset();
+
+			expect(Logger.calls('info')).to.deep.equal([]);
+			expect(Logger.constructorCalls).to.deep.equal([]);
+		});
+	});
+
+	describe('record and replay', () => {
+		let dir;
+		let file;
+
+		const createApi = () => ({
+			base: 'https://api.local',
+			getUser(id) {
+				return { id, name: `user-${id}`, url: `${this.base}/users/${id}` };
+			},
+			async listOrders(userId) {
+				return [{ id: 1, userId }];
+			},
+			async remove(id) {
+				throw new Error(`cannot remove ${id}`);
+			},
+			validate(input) {
+				if (!input)
+					throw new TypeError('input required');
+
+				return true;
+			},
+			ping() {
+				return 'pong';
+			}
+		});
+
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lil-mocky-'));
+			file = path.join(dir, 'api.json');
+		});
+
+		afterEach(() => {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it('will record calls through spies and write a cassette', async () => {
+			const api = createApi();
+			const recording = mocky.record(api, file);
+
+			expect(api.getUser(1).url).to.equal('https://api.local/users/1');
+			await api.listOrders(1);
+			await api.remove(2).catch(() => {});
+			expect(() => api.validate()).to.throw(TypeError);
+
+			const cassette = await recording.save();
+			recording.restore();
+
+			expect(recording.spies.get('getUser').calls).to.deep.equal([[1]]);
+			expect(JSON.parse(fs.readFileSync(file, 'utf8'))).to.deep.equal(cassette);
+			expect(cassette.methods).to.deep.equal(['getUser', 'listOrders', 'remove', 'validate', 'ping']);
+			expect(cassette.calls).to.deep.equal([
+				{ method: 'getUser', args: [1], returned: { id: 1, name: 'user-1', url: 'https://api.local/users/1' } },
+				{ method: 'listOrders', args: [1], resolved: [{ id: 1, userId: 1 }] },
+				{ method: 'remove', args: [2], rejected: { name: 'Error', message: 'cannot remove 2' } },
+				{ method: 'validate', args: [], threw: { name: 'TypeError', message: 'input required' } }
+			]);
+			expect(api.getUser.calls).to.equal(undefined);
+		});
+		it('will wait for pending async results before saving', async () => {
+			const api = createApi();
+			const recording = mocky.record(api, file);
+
+			api.listOrders(3);
+			const cassette = await recording.save();
+			recording.restore();
+
+			expect(cassette.calls[0].resolved).to.deep.equal([{ id: 1, userId: 3 }]);
+		});
+		it('will replay recorded values for matching arguments', async () => {
+			const api = createApi();
+			const recording = mocky.record(api, file);
+			api.getUser(1);
+			api.getUser(2);
+			await api.listOrders(1);
+			await api.remove(2).catch(() => {});
+			try {
+				api.validate();
+			} catch (error) {}
+			await recording.save();
+			recording.restore();
+
+			const replayed = mocky.replay(file).build();
+
+			expect(replayed.getUser(2)).to.deep.equal({ id: 2, name: 'user-2', url: 'https://api.local/users/2' });
+			expect(await replayed.listOrders(1)).to.deep.equal([{ id: 1, userId: 1 }]);
+			await replayed.remove(2).then(() => {
+				throw new Error('should reject');
+			}, (error) => {
+				expect(error.message).to.equal('cannot remove 2');
+			});
+			expect(() => replayed.validate()).to.throw(TypeError, 'input required');
+			expect(replayed.getUser.calls).to.deep.equal([[2]]);
+		});
+		it('will replay repeated calls in recorded order and repeat the last one', async () => {
+			let count = 0;
+			const counter = { next: () => ++count };
+			const recording = mocky.record(counter, file);
+			counter.next();
+			counter.next();
+			await recording.save();
+			recording.restore();
+
+			const replayed = mocky.replay(file).build();
+
+			expect([replayed.next(), replayed.next(), replayed.next()]).to.deep.equal([1, 2, 2]);
+
+			replayed.reset();
+			expect(replayed.next()).to.equal(1);
+		});
+		it('will fail on calls that were not recorded', async () => {
+			const api = createApi();
+			const recording = mocky.record(api, file);
+			api.getUser(1);
+			await recording.save();
+			recording.restore();
+
+			const replayed = mocky.replay(file).build();
+
+			expect(() => replayed.getUser(5)).to.throw(AssertionError, 'Unrecorded call to getUser with [ 5 ]: the cassette has no matching call');
+			expect(() => replayed.ping()).to.throw(AssertionError, 'Unrecorded call to ping');
+		});
+		it('will reject unrecorded calls to methods recorded as async', async () => {
+			const api = createApi();
+			const recording = mocky.record(api, file);
+			await api.listOrders(1);
+			await recording.save();
+			recording.restore();
+
+			const replayed = mocky.replay(file).build();
+			const result = replayed.listOrders(9);
+
+			expect(result).to.be.a('promise');
+			await result.then(() => {
+				throw new Error('should reject');
+			}, (error) => {
+				expect(error).to.be.an.instanceof(AssertionError);
+				expect(error.message).to.equal('Unrecorded call to listOrders with [ 9 ]: the cassette has no matching call');
+			});
+		});
+	});
+
+	describe('deep', () => {
+		it('will create chained function mocks on access', () => {
+			const knex = mocky.deep('knex');
+
+			const query = knex('users').where({ active: true }).orderBy('name');
+
+			expect(knex.path().calls).to.deep.equal([['users']]);
+			expect(knex.path('where').calls).to.deep.equal([[{ active: true }]]);
+			expect(knex.path('where.orderBy').calls).to.deep.equal([['name']]);
+			expect(query).to.equal(knex.where.orderBy);
+			expect(knex.path('where.orderBy').name).to.equal('knex.where.orderBy');
+		});
+		it('will return configured values at a path', async () => {
+			const s3 = mocky.deep();
+
+			s3.path('bucket.object.get').resolves({ body: 'data' });
+			s3.path('bucket.object.delete').throw(new Error('denied'));
+
+			expect(await s3.bucket('photos').object('cat.png').get()).to.deep.equal({ body: 'data' });
+			expect(() => s3.bucket('photos').object('cat.png').delete()).to.throw('denied');
+			expect(s3.path('bucket.object').calls).to.deep.equal([['cat.png'], ['cat.png']]);
+		});
+		it('will support per-path when and function bodies', () => {
+			const db = mocky.deep();
+
+			db.path('table.find').when(1).ret({ id: 1 });
+			db.path('table.count').ret(3);
+
+			expect(db.table('users').find(1)).to.deep.equal({ id: 1 });
+			expect(db.table('users').count()).to.equal(3);
+			expect(db.path('table').calls).to.have.length(2);
+		});
+		it('will not be thenable so it can be awaited', async () => {
+			const client = mocky.deep();
+
+			expect(await client.connect()).to.equal(client.connect);
+			expect(client.then).to.equal(undefined);
+		});
+		it('will clear the whole tree with a single reset', () => {
+			const api = mocky.deep();
+			api.path('users.list').ret(['alice']);
+			api.users.list();
+			api();
+
+			api.reset();
+
+			expect(api.path().calls).to.deep.equal([]);
+			expect(api.path('users.list').calls).to.deep.equal([]);
+			expect(api.users.list()).to.equal(api.users.list);
+		});
+		it('will reset a subtree from a child', () => {
+			const api = mocky.deep();
+			api.path('users.list').ret(['alice']);
+			api.path('orders.list').ret([]);
+
+			api.users.reset();
+
+			expect(api.users.list()).to.equal(api.users.list);
+			expect(api.orders.list()).to.deep.equal([]);
+		});
+	});
+
+	describe('spy all', () => {
+		class Repository {
+			static connect(url) {
+				return `connected ${url}`;
+			}
+			constructor(table) {
+				this.table = table;
+			}
+			find(id) {
+				return { id, table: this.table };
+			}
+			count() {
+				return 0;
+			}
+		}
+
+		class UserRepository extends Repository {
+			findByEmail(email) {
+				return this.find(email.length);
+			}
+		}
+
+		it('will spy on every own and inherited method of an object', () => {
+			const service = Object.assign(Object.create({ inherited: () => 'inherited' }), {
+				name: 'service',
+				start: () => 'started',
+				stop: () => 'stopped'
+			});
+
+			const spies = mocky.spyAll(service);
+
+			expect(Object.keys(spies)).to.deep.equal(['start', 'stop', 'inherited']);
+			expect(service.start()).to.equal('started');
+			expect(service.inherited()).to.equal('inherited');
+			expect(spies.start.calls).to.deep.equal([[]]);
+			expect(spies.inherited.calls).to.have.length(1);
+
+			spies.restoreAll();
+
+			expect(service.start.calls).to.equal(undefined);
+			expect(service.inherited()).to.equal('inherited');
+		});
+		it('will filter methods with include and exclude', () => {
+			const service = { a: () => 1, b: () => 2, c: () => 3 };
+
+			expect(Object.keys(mocky.spyAll(service, { include: ['a', 'b'] }))).to.deep.equal(['a', 'b']);
+			expect(service.c.calls).to.equal(undefined);
+
+			const other = { a: () => 1, b: () => 2, c: () => 3 };
+			expect(Object.keys(mocky.spyAll(other, { exclude: ['b'] }))).to.deep.equal(['a', 'c']);
+		});
+		it('will spy on the prototype of a class and optionally its statics', () => {
+			const spies = mocky.spyAll(UserRepository, { statics: true });
+			const repository = new UserRepository('users');
+
+			expect(repository.findByEmail('a@b')).to.deep.equal({ id: 3, table: 'users' });
+			expect(UserRepository.connect('db')).to.equal('connected db');
+
+			expect(Object.keys(spies)).to.deep.equal(['findByEmail', 'find', 'count', 'static']);
+			expect(spies.find.calls).to.deep.equal([[3]]);
+			expect(spies.find.invocations[0].this).to.equal(repository);
+			expect(spies.static.connect.calls).to.deep.equal([['db']]);
+
+			spies.restoreAll();
+
+			expect(UserRepository.prototype.find.calls).to.equal(undefined);
+			expect(UserRepository.connect.calls).to.equal(undefined);
+			expect(Repository.prototype.find.calls).to.equal(undefined);
+		});
+		it('will spy on all methods from a sandbox', () => {
+			const sandbox = mocky.sandbox();
+			const service = { start: () => 'started' };
+
+			const spies = sandbox.spyAll(service);
+			service.start();
+			expect(spies.start.calls).to.have.length(1);
+
+			sandbox.restoreAll();
+			sandbox.assertRestored();
+			expect(service.start.calls).to.equal(undefined);
+		});
+		it('will restore sandbox spyAll spies on their own', () => {
+			const sandbox = mocky.sandbox();
+			const service = { start: () => 'started', stop: () => 'stopped' };
+
+			const spies = sandbox.spyAll(service, { exclude: ['stop'] });
+			expect(spies.stop).to.equal(undefined);
+			service.start();
+			sandbox.resetAll();
+			expect(spies.start.calls).to.have.length(0);
+
+			spies.restoreAll();
+			expect(service.start.calls).to.equal(undefined);
+			sandbox.assertRestored();
+			sandbox.restoreAll();
+		});
+		it('will track instances and constructor arguments with spyClass', () => {
+			const Spied = mocky.spyClass(UserRepository);
+			const users = new Spied('users');
+			const admins = new Spied('admins');
+
+			expect(users).to.be.instanceOf(UserRepository);
+			expect(Spied.name).to.equal('UserRepository');
+			expect(admins.findByEmail('root')).to.deep.equal({ id: 4, table: 'admins' });
+			users.count();
+
+			expect(Spied.instCount).to.equal(2);
+			expect(Spied.inst(1)).to.equal(admins);
+			expect(Spied.instances).to.deep.equal([users, admins]);
+			expect(Spied.constructorCalls).to.deep.equal([['users'], ['admins']]);
+			expect(Spied.calls('find')).to.deep.equal([{ inst: 1, args: [4] }]);
+			expect(Spied.spies.count.calls).to.have.length(1);
+			expect(Spied).to.have.instances(2);
+			expect(UserRepository.prototype.find.calls).to.equal(undefined);
+		});
+		it('will allow configuring spyClass spies and reset tracking', () => {
+			const Spied = mocky.spyClass(Repository, { statics: true });
+
+			Spied.spies.find.ret('stubbed');
+			expect(new Spied('users').find(1)).to.equal('stubbed');
+			expect(Spied.connect('db')).to.equal('connected db');
+			expect(Spied.spies.static.connect.calls).to.deep.equal([['db']]);
+			expect(() => Spied.calls('missing')).to.throw(TypeError, 'Repository.missing is not a spied method');
+
+			Spied.reset();
+
+			expect(Spied.instCount).to.equal(0);
+			expect(Spied.constructorCalls).to.deep.equal([]);
+			expect(new Spied('users').find(1)).to.deep.equal({ id: 1, table: 'users' });
+		});
+	});
+
+	describe('spy restore', () => {
+		it('will remove the own property when the spied method was inherited', () => {
+			class Service {
+				run() {
+					return 'run';
+				}
+			}
+			const service = new Service();
+
+			const spy = mocky.spy(service, 'run');
+			expect(Object.keys(service)).to.deep.equal([]);
+			service.run();
+			spy.restore();
+
+			expect(Object.prototype.hasOwnProperty.call(service, 'run')).to.equal(false);
+			expect(service.run).to.equal(Service.prototype.run);
+			expect(spy.calls).to.have.length(1);
+		});
+		it('will reinstate the original descriptor', () => {
+			const obj = {};
+			const run = () => 'run';
+			Object.defineProperty(obj, 'hidden', { value: run, writable: false, enumerable: false, configurable: true });
+			Object.defineProperty(obj, 'lazy', { get: () => run, enumerable: true, configurable: true });
+
+			const hidden = mocky.spy(obj, 'hidden');
+			const lazy = mocky.spy(obj, 'lazy');
+
+			expect(Object.getOwnPropertyDescriptor(obj, 'hidden')).to.include({ writable: false, enumerable: false });
+			expect(obj.hidden()).to.equal('run');
+			expect(obj.lazy()).to.equal('run');
+
+			hidden.restore();
+			lazy.restore();
+
+			expect(Object.getOwnPropertyDescriptor(obj, 'hidden')).to.deep.equal({ value: run, writable: false, enumerable: false, configurable: true });
+			expect(Object.getOwnPropertyDescriptor(obj, 'lazy').get).to.be.a('function');
+			expect(obj.lazy).to.equal(run);
+		});
+		it('will spy on writable properties that are not configurable', () => {
+			const obj = {};
+			const run = () => 'run';
+			Object.defineProperty(obj, 'run', { value: run, writable: true, enumerable: true, configurable: false });
+
+			const spy = mocky.spy(obj, 'run');
+			obj.run();
+			spy.restore();
+
+			expect(spy.calls).to.have.length(1);
+			expect(obj.run).to.equal(run);
+		});
+		it('will refuse properties that cannot be replaced', () => {
+			const frozen = Object.freeze({ run: () => 'run' });
+			const sealed = Object.preventExtensions(Object.create({ run: () => 'run' }));
+
+			expect(() => mocky.spy(frozen, 'run')).to.throw(TypeError, 'Cannot spy on run: property is neither writable nor configurable');
+			expect(() => mocky.spy(sealed, 'run')).to.throw(TypeError, 'Cannot spy on run: object is not extensible');
+		});
+		it('will refuse to spy on the same key twice', () => {
+			const obj = { run: () => 'run' };
+			const config = { get timeout() {
+				return 1;
+			} };
+
+			const spy = mocky.spy(obj, 'run');
+			mocky.spy.get(config, 'timeout');
+
+			expect(() => mocky.spy(obj, 'run')).to.throw(TypeError, 'Cannot spy on run: it is already spied on, restore the existing spy first');
+			expect(() => mocky.spy.get(config, 'timeout')).to.throw(TypeError, 'Cannot spy on timeout: its getter is already spied on');
+
+			spy.restore();
+			mocky.spy(obj, 'run').restore();
+		});
+		it('will allow spying on an instance when its prototype method is spied', () => {
+			class Service {
+				run() {
+					return 'run';
+				}
+			}
+			const service = new Service();
+			const protoSpy = mocky.spy(Service.prototype, 'run');
+			const instanceSpy = mocky.spy(service, 'run');
+
+			service.run();
+
+			expect(instanceSpy.calls).to.have.length(1);
+			expect(protoSpy.calls).to.have.length(1);
+
+			instanceSpy.restore();
+			protoSpy.restore();
+		});
+		it('will mirror the name, length and static properties of the original', () => {
+			function fetchUser(id, options) {
+				return id;
+			}
+			fetchUser.cache = new Map();
+			fetchUser.reset = 'real';
+			const api = { load: fetchUser };
+
+			const spy = mocky.spy(api, 'load');
+
+			expect(spy.name).to.equal('fetchUser');
+			expect(spy.length).to.equal(2);
+			expect(spy.cache).to.equal(fetchUser.cache);
+			expect(spy.reset).to.be.a('function');
+			expect(mocky.spy({ run: () => {} }, 'run', mocky.fn().name('custom')).name).to.equal('custom');
+
+			spy.restore();
+		});
+		it('will not undo a later replacement on a second restore', () => {
+			const obj = { run: () => 'run' };
+			const spy = mocky.spy(obj, 'run');
+			spy.restore();
+
+			const replacement = () => 'replaced';
+			obj.run = replacement;
+			spy.restore();
+
+			expect(obj.run).to.equal(replacement);
+		});
+	});
+
+	describe('impl', () => {
+		it('will replace the body after build with impl()', () => {
+			const mock = mocky.fn((ctx) => 'builder').args('x').build();
+
+			expect(mock(1)).to.equal('builder');
+
+			mock.impl((ctx) => ctx.args.x * 2);
+
+			expect(mock(2)).to.equal(4);
+			expect(mock.calls).to.deep.equal([{ x: 1 }, { x: 2 }]);
+		});
+		it('will pass the configured ret to runtime implementations', () => {
+			const mock = mocky.fn().build();
+
+			mock.ret(10);
+			mock.impl((ctx) => ctx.ret + ctx.call);
+
+			expect([mock(), mock()]).to.deep.equal([10, 11]);
+		});
+		it('will use an implementation for a specific call', () => {
+			const mock = mocky.fn(() => 'default').build();
+
+			mock.impl(() => 'second', 1);
+
+			expect([mock(), mock(), mock()]).to.deep.equal(['default', 'second', 'default']);
+		});
+		it('will use implOnce() implementations for the next calls in order', () => {
+			const mock = mocky.fn().build();
+
+			mock.impl(() => 'fallback');
+			mock.implOnce(() => 'first');
+			mock.implOnce(() => {
+				throw new Error('second');
+			});
+
+			expect(mock()).to.equal('first');
+			expect(() => mock()).to.throw('second');
+			expect(mock()).to.equal('fallback');
+		});
+		it('will prefer implOnce() over when() bodies', () => {
+			const mock = mocky.fn().build();
+
+			mock.when(1).call(() => 'when');
+			mock.implOnce(() => 'once');
+
+			expect([mock(1), mock(1)]).to.deep.equal(['once', 'when']);
+		});
+		it('will queue values with retOnce() and retSequence()', () => {
+			const mock = mocky.fn().build();
+
+			mock.ret('default');
+			mock.retOnce('a');
+			mock.retSequence(['b', 'c']);
+
+			expect([mock(), mock(), mock(), mock()]).to.deep.equal(['a', 'b', 'c', 'default']);
+		});
+		it('will let index rets and when rules wait for queued values', () => {
+			const mock = mocky.fn().build();
+
+			mock.ret('indexed', 0);
+			mock.when(1).ret('when');
+			mock.retOnce('queued');
+
+			expect([mock(1), mock(1), mock(1)]).to.deep.equal(['indexed', 'queued', 'when']);
+		});
+		it('will satisfy strict mocks with queued values', () => {
+			const mock = mocky.fn().strict().build();
+
+			mock.retOnce('once');
+
+			expect(mock()).to.equal('once');
+			expect(() => mock()).to.throw(AssertionError, 'Unexpected call');
+		});
+		it('will revert to the builder configuration on reset', () => {
+			const mock = mocky.fn(() => 'builder').build();
+
+			mock.impl(() => 'runtime');
+			mock.impl(() => 'indexed', 0);
+			mock.implOnce(() => 'once');
+			mock.retSequence([1, 2]);
+
+			mock.reset();
+
+			expect(mock()).to.equal('builder');
+			expect(mock()).to.equal('builder');
+		});
+		it('will copy implementations from the Mock.every() template', () => {
+			const Mock = mocky.cls({ get: mocky.fn() }).build();
+
+			Mock.every().get.impl((ctx) => ctx.ret ?? 'shared');
+			Mock.every().get.retOnce('first');
+
+			const first = new Mock();
+			const second = new Mock();
+
+			expect([first.get(), first.get(), second.get()]).to.deep.equal(['first', 'shared', 'first']);
+		});
+	});
+
+	describe('waiting for calls', () => {
+		it('will resolve with the arguments of the first call', async () => {
+			const handler = mocky.fn().args('event').build();
+
+			setTimeout(() => handler('ready'), 5);
+
+			expect(await handler.waitForCall()).to.deep.equal({ event: 'ready' });
+		});
+		it('will wait for a specific call and resolve at once when it already happened', async () => {
+			const handler = mocky.fn().build();
+			handler('a');
+
+			const third = handler.waitForCall(2);
+			setImmediate(() => handler('b'));
+			setImmediate(() => handler('c'));
+
+			expect(await third).to.deep.equal(['c']);
+			expect(await handler.waitForCall(0)).to.deep.equal(['a']);
+		});
+		it('will reject with the recorded calls on timeout', async () => {
+			const handler = mocky.fn().args('event').build();
+			handler('start');
+
+			const error = await handler.waitForCall(1, { timeout: 10 }).catch((reason) => reason);
+
+			expect(error).to.be.instanceOf(AssertionError);
+			expect(error.message).to.equal('Timed out after 10ms waiting for call #1 of mock, but it was called 1 time.\n\nRecorded calls (1):\n  #0 { event: \'start\' }');
+		});
+		it('will accept the timeout without a call index', async () => {
+			const handler = mocky.fn().build();
+
+			const error = await handler.waitForCall({ timeout: 5 }).catch((reason) => reason);
+
+			expect(error.message).to.include('waiting for call #0');
+		});
+		it('will work on class instance members and spies', async () => {
+			const Worker = mocky.cls({ process: mocky.fn().args('job') }).build();
+			const emitter = { emit: () => true };
+			const spy = mocky.spy(emitter, 'emit');
+
+			setTimeout(() => {
+				new Worker().process('job-1');
+				emitter.emit('done');
+			}, 5);
+
+			expect(await Worker.inst(0).process.waitForCall()).to.deep.equal({ job: 'job-1' });
+			expect(await spy.waitForCall()).to.deep.equal(['done']);
+
+			spy.restore();
+		});
+		it('will time out with real timers while fake timers are installed', async () => {
+			const clock = mocky.timers();
+			const handler = mocky.fn().build();
+
+			try {
+				const error = await handler.waitForCall({ timeout: 5 }).catch((reason) => reason);
+				expect(error).to.be.instanceOf(AssertionError);
+			} finally {
+				clock.restore();
+			}
+		});
+		it('will wait for a matching call with mocky.waitFor()', async () => {
+			const logger = mocky.obj({
+				info: mocky.fn().args('message'),
+				warn: mocky.fn().args('message')
+			}).name('logger').build();
+			logger.info('old');
+
+			const waiting = mocky.waitFor((call) => call.mock === logger.info && call.args.message !== 'old');
+			setTimeout(() => {
+				logger.warn('slow');
+				logger.info('ready');
+			}, 5);
+
+			const call = await waiting;
+
+			expect(call.name).to.equal('logger.info');
+			expect(call.args).to.deep.equal({ message: 'ready' });
+			expect(call.call).to.equal(1);
+		});
+		it('will reject mocky.waitFor() on timeout or when the predicate throws', async () => {
+			const mock = mocky.fn().name('tick').build();
+			mock(1);
+
+			const timeout = await mocky.waitFor(() => false, { timeout: 5 }).catch((reason) => reason);
+			expect(timeout.message).to.match(/^Timed out after 5ms waiting for a matching call\.\n\nRecorded calls \(last \d+\):/);
+			expect(timeout.message).to.include('tick [ 1 ]');
+
+			const thrown = await mocky.waitFor(() => {
+				throw new Error('bad predicate');
+			}, { timeout: 5 }).catch((reason) => reason);
+			expect(thrown.message).to.equal('bad predicate');
+		});
+	});
+
 	describe('synonyms', () => {
 		it('will use mocky.fn() as synonym for mocky.function()', () => {
 			const mock = mocky.fn().args('x').build();